@@ -1,6 +1,8 @@
 /* app.js
  * This file provies the classes representing all game concepts and functionality.
  * Execution of the game is managed by the engine code in engine.js
+ * The classes do not depend on the browser, all drawing is done through the renderer of the board (see renderer.js),
+ * so the game can also be simulated headlessly, e.g. in Node (see tools/headless.js).
  */
 
 "use strict";
@@ -37,6 +39,22 @@ class Point {
     }
 }
 
+/**
+ * easing functions shaping the progress of tweened movement.
+ * each function maps the fraction of the duration of a movement that has passed, from 0 to 1, 
+ * to the fraction of the distance that has been covered, also from 0 to 1.
+ */
+const Easing = {
+    /** covers the distance at a constant speed */
+    linear: t => t,
+    /** starts fast and slows down towards the end */
+    easeOutQuad: t => t * (2 - t),
+    /** speeds up in the first half and slows down in the second */
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+    /** starts fast and slightly overshoots the end before settling */
+    easeOutBack: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2)
+};
+
 /**
  * Represents a set of dimensions in 2D space
  */
@@ -205,10 +223,30 @@ class Area {
 }
 
 /**
- * represents the visual representation of a game entity including metadata of its occupancy in 2D space
+ * a named animation played from the frames of a sprite sheet
+ * @typedef {Object} Animation
+ * @property {number[]} frames the zero-based indices of the frames of the sprite sheet, in the order they are shown
+ * @property {number} frameRate the number of frames shown per second
+ * @property {boolean} loop true if the animation starts over after its last frame, otherwise the last frame is kept
+ * @property {string} next the name of the animation to play when a non-looping animation has finished, if any
+ */
+
+/**
+ * represents the visual representation of a game entity including metadata of its occupancy in 2D space.
+ * the image can be a sprite sheet, holding the frames of the animations of the entity side by side from left to right,
+ * each frame having the dimensions of the visual.
  */
 class EntityVisual {
-    constructor({sprite, dimensions = null, occupiedArea = null}) {
+    /**
+     * @param {Object} param
+     * @param {string} param.sprite the relative path to the image, or sprite sheet, that is to visually represent an entity
+     * @param {Dimensions} param.dimensions the dimensions in pixels of the image, or of a single frame of the sprite sheet
+     * @param {Area} param.occupiedArea the area of the central visual element within the image, or within a frame
+     * @param {Object.<string, Animation>} param.animations the animations of the sprite sheet by name, null if the image is not a sprite sheet
+     * @param {string} param.defaultAnimation the name of the animation entities are created playing
+     */
+    constructor({sprite, dimensions = null, occupiedArea = null, animations = null, defaultAnimation = null}) {
+        if (animations && !dimensions) throw new Error("the dimensions of the frames are required for a sprite sheet");
         /**
          * @description the relative path to the image that is to visually represent an entity
          * @type {string}
@@ -233,7 +271,33 @@ class EntityVisual {
             //if no value is provided the occupied area is equal to the are of the full visual
             this.occupiedArea = new Area(new Point(0, 0), this.dimensions);
         }
-    }   
+        /**
+         * @description the animations of the sprite sheet by name, null if the image is not a sprite sheet
+         * @type {Object.<string, Animation>}
+         */
+        this.animations = animations;
+        /**
+         * @description the name of the animation entities are created playing
+         * @type {string}
+         */
+        this.defaultAnimation = defaultAnimation || (animations ? Object.keys(animations)[0] : null);
+    }
+
+    /**
+     * @returns {boolean} true if the image is a sprite sheet holding animation frames
+     */
+    get isSpriteSheet() {
+        return this.animations !== null;
+    }
+
+    /**
+     * returns the area of a frame within the sprite sheet
+     * @param {number} frame the zero-based index of the frame
+     * @returns {Area} the area of the frame in the image
+     */
+    frameArea(frame) {
+        return new Area(new Point(frame * this.dimensions.width, 0), this.dimensions);
+    }
 }
 
 /**
@@ -250,8 +314,9 @@ class Entity {
      * @param {number} param.zIndex the stack order of entities in the board, entities with a lower zIndex are painted before those with higher ones
      * @param {number} param.hitScoreIncrement the increment in the player score if hit
      * @param {boolean} param.removeOnHit true if the entity is to be removed after being hit
+     * @param {boolean} param.collidable false if the entity never interacts with the player, e.g. decals, so collisions with it are not checked
      */
-    constructor({board, visual, position = new Point(0,0), zIndex = 0, hitScoreIncrement = 0, removeOnHit = false}) {
+    constructor({board, visual, position = new Point(0,0), zIndex = 0, hitScoreIncrement = 0, removeOnHit = false, collidable = true}) {
         if (!board) throw new Error("a board is required");
         if (!visual) throw new Error("a visual representation is required");
         /**
@@ -272,6 +337,12 @@ class Entity {
          * @protected
          */
         this._position = position;
+        /**
+         * @description the position of the entity at the start of the latest update, which rendering interpolates from
+         * @type {Point}
+         * @protected
+         */
+        this._previousPosition = position;
         /**
          * @description the stack order of entities in the board, entities with a lower zIndex are painted before those with higher ones
          * @type {number}
@@ -288,6 +359,33 @@ class Entity {
          * @type {number}
          */
         this.hitScoreIncrement = hitScoreIncrement;
+        /**
+         * @description false if the entity never interacts with the player, so collisions with it are not checked
+         * @type {boolean}
+         */
+        this.collidable = collidable;
+        /**
+         * @description the opacity the entity is rendered with, from 0 (invisible) to 1 (opaque)
+         * @type {number}
+         */
+        this.opacity = 1;
+        /**
+         * @description the multiplier of the frame rates of the animations of the entity, e.g. 2 plays them twice as fast
+         * @type {number}
+         */
+        this.animationSpeed = 1;
+        /**
+         * @description the name of the animation being played, null if the visual has no animations
+         * @type {string}
+         * @private
+         */
+        this._animationName = visual.defaultAnimation;
+        /**
+         * @description the time in seconds the current animation has been played
+         * @type {number}
+         * @private
+         */
+        this._animationTime = 0;
     }
 
     /**
@@ -343,10 +441,91 @@ class Entity {
     }
 
     /**
-     * renders the entity on the game canvas based on its position relative to the board
+     * stores the current position as the previous position, which rendering interpolates from.
+     * called at the start of each update of the board.
+     */
+    storePreviousPosition() {
+        this._previousPosition = this._position;
+    }
+
+    /**
+     * calculates the position of the entity between its previous and current position
+     * @param {number} alpha the fraction of the way from the previous to the current position, 0 is the previous and 1 the current position
+     * @returns {Point} the interpolated position
+     */
+    interpolatedPosition(alpha = 1) {
+        return new Point(this._previousPosition.x + (this._position.x - this._previousPosition.x) * alpha, 
+                         this._previousPosition.y + (this._position.y - this._previousPosition.y) * alpha);
+    }
+
+    /**
+     * @returns {string} the name of the render layer the entity is drawn on, see Board.layers
+     */
+    get layer() {
+        return "actors";
+    }
+
+    /**
+     * renders the entity based on its position relative to the board, interpolated between its previous and current position
+     * @param {number} alpha the fraction of the way from the previous to the current position to render the entity at
+     * @param {CanvasRenderer|NullRenderer} renderer the renderer to draw with, e.g. that of the layer of the entity
+     */
+    render(alpha = 1, renderer = this._board.renderer) {
+        const position = this.interpolatedPosition(alpha);
+        const frame = this._visual.isSpriteSheet ? this._visual.frameArea(this.animationFrame) : null;
+        renderer.drawSprite(this._visual.sprite, position.x, position.y, {frame: frame, opacity: this.opacity});
+    }
+
+    /**
+     * @returns {Animation} the animation being played, null if the visual has no animations
+     */
+    get animation() {
+        return this._animationName ? this._visual.animations[this._animationName] : null;
+    }
+
+    /**
+     * @returns {string} the name of the animation being played, null if the visual has no animations
      */
-    render() {
-        ctx.drawImage(Resources.get(this._visual.sprite), this._position.x, this._position.y);
+    get animationName() {
+        return this._animationName;
+    }
+
+    /**
+     * starts playing a named animation of the visual from its first frame
+     * @param {string} name the name of the animation
+     */
+    playAnimation(name) {
+        if (!this._visual.isSpriteSheet || !this._visual.animations[name]) throw new Error(`animation '${name}' not supported`);
+        this._animationName = name;
+        this._animationTime = 0;
+    }
+
+    /**
+     * @returns {boolean} true if the animation being played does not loop and has shown its last frame for its full duration
+     */
+    get isAnimationFinished() {
+        const animation = this.animation;
+        return !!animation && !animation.loop && this._animationTime * animation.frameRate >= animation.frames.length;
+    }
+
+    /**
+     * @returns {number} the zero-based index in the sprite sheet of the frame of the animation to show
+     */
+    get animationFrame() {
+        const animation = this.animation;
+        if (!animation) return 0;
+        const index = Math.floor(this._animationTime * animation.frameRate);
+        return animation.frames[animation.loop ? index % animation.frames.length : Math.min(index, animation.frames.length - 1)];
+    }
+
+    /**
+     * advances the animation being played, switching to the next animation when a non-looping animation has finished
+     * @param {number} dt the delta time calculated for the computing environment
+     */
+    animate(dt) {
+        if (!this.animation) return;
+        this._animationTime += dt * this.animationSpeed;
+        if (this.isAnimationFinished && this.animation.next) this.playAnimation(this.animation.next);
     }
 
     /**
@@ -358,12 +537,24 @@ class Entity {
      * @param {number} column the column of the board grid cell the entity is to be moved to
      */
     moveToCell(row, column) {
+        this._position = this.positionInCell(row, column);
+        //moving to a cell is instant, so there is nothing to interpolate from
+        this.storePreviousPosition();
+    }
+
+    /**
+     * calculates the position the entity would have if moved to the center of a specified board grid cell, see moveToCell
+     * @param {number} row the row of the board grid cell
+     * @param {number} column the column of the board grid cell
+     * @returns {Point} the position of the entity centered on the cell
+     */
+    positionInCell(row, column) {
         const cellArea = this._board.grid.getCell(row, column).occupiedArea;
         const actorArea =  this.occupiedArea;
         //gets an area representing the entity centered on the (occupied) cell area
         const newActorArea = actorArea.centerOn(cellArea);
         //the position of this entity is set based on the calculated position of its occupied area
-        this._position = this._position.offset(newActorArea.position.x - actorArea.position.x, newActorArea.position.y - actorArea.position.y);
+        return this._position.offset(newActorArea.position.x - actorArea.position.x, newActorArea.position.y - actorArea.position.y);
     }
 
     /**
@@ -395,9 +586,10 @@ class Actor extends Entity {
      * @param {number} param.hitScoreIncrement the increment in the player score if hit by the player
      * @param {boolean} param.removeOnHit true if the actor is to be removed after being hit
      * @param {boolean} param.canMoveOutsideBoard a boolean indicating whether the actor is allowed to move outside the board
+     * @param {boolean} param.collidable false if the actor never collides with the player, e.g. platforms the player stands on
      */
-    constructor({board, visual, position = new Point(0,0), zIndex = 0, hitScoreIncrement = 0, removeOnHit = false, canMoveOutsideBoard = false}) {
-        super({board: board, visual: visual, position: position, zIndex: zIndex, hitScoreIncrement: hitScoreIncrement, removeOnHit: removeOnHit});
+    constructor({board, visual, position = new Point(0,0), zIndex = 0, hitScoreIncrement = 0, removeOnHit = false, canMoveOutsideBoard = false, collidable = true}) {
+        super({board: board, visual: visual, position: position, zIndex: zIndex, hitScoreIncrement: hitScoreIncrement, removeOnHit: removeOnHit, collidable: collidable});
         /**
          * @description true if the actor is allowed to move outside the board
          * @type {boolean}
@@ -448,212 +640,1113 @@ class Prop extends Entity {
      * @param {number} param.zIndex the stack order of entities in the board, entities with a lower zIndex are painted before those with higher ones
      * @param {number} param.hitScoreIncrement the increment in the player score if hit by the player
      * @param {boolean} param.removeOnHit true if the prop is to be removed after being hit
+     * @param {boolean} param.collidable false if the prop never interacts with the player, e.g. decals
      */
-    constructor({ board, visual, position = new Point(0, 0), zIndex = 0, hitScoreIncrement = 0, removeOnHit = false}) {
-        super({board: board, visual: visual, position: position, zIndex: zIndex, hitScoreIncrement: hitScoreIncrement, removeOnHit: removeOnHit});
+    constructor({ board, visual, position = new Point(0, 0), zIndex = 0, hitScoreIncrement = 0, removeOnHit = false, collidable = true}) {
+        super({board: board, visual: visual, position: position, zIndex: zIndex, hitScoreIncrement: hitScoreIncrement, removeOnHit: removeOnHit, collidable: collidable});
     }
 }
 
 /**
  * represents a diamond on the board of the game 
- * diamonds are instantiated with a predefined visual and zIndex
+ * diamonds are instantiated with a predefined visual and zIndex, and come in kinds of gems told apart by their sprite
  */
 class Diamond extends Prop {
     /**
      * @param {Object} param
      * @param {Board} param.board the board that the entity belongs to
+     * @param {string} param.kind the kind of gem, one of the keys of Diamond.kinds
      * @param {Point} param.position the position of the entity relative to its board
      * @param {number} param.hitScoreIncrement the increment in the player score if hit by the player
      */
-    constructor({ board, position = new Point(0, 0), hitScoreIncrement = 1}) {
+    constructor({ board, kind = "diamond", position = new Point(0, 0), hitScoreIncrement = 1}) {
+        if (!Diamond.kinds[kind]) throw new Error(`diamond kind '${kind}' not supported`);
         //a predefined visual is used for diamonds in this game
-        const visual = new EntityVisual({ sprite: "images/diamond.png", occupiedArea: new Area(new Point(3, 100), new Dimensions(95, 62)) });
+        const visual = new EntityVisual({ sprite: Diamond.kinds[kind].sprite, occupiedArea: new Area(new Point(3, 100), new Dimensions(95, 62)) });
         //a predefined zIndex is used for different types of entities in this game, so that they are painted in an appropriate order
         //dimaonds are removed after being hit
         super({ board: board, visual: visual, position: position, zIndex: 101, hitScoreIncrement: hitScoreIncrement, removeOnHit: true});
+        /**
+         * @description the kind of gem
+         * @type {string}
+         */
+        this.kind = kind;
+    }
+
+    /**
+     * the value of a kind is set by the value tiers of the board, see DiamondTier
+     * @returns {Object.<string, {sprite: string}>} the kinds of gems by name
+     */
+    static get kinds() {
+        return {
+            diamond: {sprite: "images/diamond.png"},
+            emerald: {sprite: "images/diamond-emerald.png"},
+            topaz: {sprite: "images/diamond-topaz.png"}
+        };
     }
 }
 
 /**
- * represents an enemy on the board of the game
- * enemies are instantiated with a predefined visual and zIndex and are allowed to move outside the board
+ * represents a blood splat left on the board where the player was hit.
+ * the splat spreads out, lingers for a while and then fades away, removing itself from the board.
  */
-class Enemy extends Actor {
+class BloodSplat extends Prop {
     /**
      * @param {Object} param
      * @param {Board} param.board the board that the entity belongs to
-     * @param {number} param.hitScoreIncrement the increment in the player score if hit by the player
-     * @param {boolean} param.removeOnHit true if the enemy is to be removed after being hit
-     * @param {Object} param.moveIncrement a vector representing the direction and speed of an enemy move on the board
-     * @param {number} param.moveIncrement.x the horizontal increment of the increment vector in 2D space
-     * @param {number} param.moveIncrement.y the vertical increment of the increment vector in 2D space
+     * @param {Point} param.position the position of the entity relative to its board
+     * @param {number} param.direction a number indicating the horizontal direction of the enemy that hit the player,
+     *      numbers >= 0 are left to right, negative numbers are right to left
+     * @param {number} param.lingerDuration the time in seconds the splat stays after spreading out, before it starts fading
+     * @param {number} param.fadeDuration the time in seconds the splat takes to fade away
      */
-    constructor({board, hitScoreIncrement = -2, removeOnHit = false, moveIncrement = {x: 20, y: 0}}) {
-        const visual = new EntityVisual({sprite: moveIncrement.x >= 0 ? "images/enemy-right.png" : "images/enemy-left.png",
-                                         dimensions: board.grid.cellVisualTemplate.dimensions.clone(),
-                                         occupiedArea: new Area(new Point(2, 102), new Dimensions(96, 42))});
-        super({ board: board, visual: visual, zIndex: 200, hitScoreIncrement: hitScoreIncrement, removeOnHit: removeOnHit, canMoveOutsideBoard: true});
+    constructor({ board, position = new Point(0, 0), direction = 1, lingerDuration = 1.5, fadeDuration = 1 }) {
+        const visual = new EntityVisual({ 
+            sprite: direction >= 0 ? "images/blood-right-sheet.png" : "images/blood-left-sheet.png", 
+            dimensions: board.grid.cellVisualTemplate.dimensions.clone(),
+            animations: {splat: {frames: [0, 1, 2, 3], frameRate: 16, loop: false}}});
+        //the splat is a decal, which the player never interacts with
+        super({ board: board, visual: visual, position: position, zIndex: 100, collidable: false });
         /**
-         * @description a vector representing the direction and speed of an enemy move on the board
-         * @type {{x: number, y: number}}
+         * @description the time in seconds the splat stays after spreading out, before it starts fading
+         * @type {number}
          */
-        this.moveIncrement = moveIncrement;
+        this.lingerDuration = lingerDuration;
         /**
-         * @description a boolean indicating whether the enemy is to be respawned on next update
-         * @type {boolean}
+         * @description the time in seconds the splat takes to fade away
+         * @type {number}
          */
-        this.respawnOnNextUpdate = false;
-    }    
+        this.fadeDuration = fadeDuration;
+        /**
+         * @description the time in seconds since the splat spread out completely
+         * @type {number}
+         * @private
+         */
+        this._age = 0;
+    }
+
+    /**
+     * @returns {string} the name of the render layer the entity is drawn on, blood is drawn on the decals beneath the actors
+     */
+    get layer() {
+        return "decals";
+    }
 
     /**
-     * moves the enemy based on its set move increment, i.e. speed and direction, and provided delta time
+     * spreads the splat out, then fades it away and removes it from the board
      * @param {number} dt the delta time calculated for the computing environment
      */
-    update(dt) {
-        const increment = {x: this.moveIncrement.x * dt, y: this.moveIncrement.y * dt};
-        this.move(increment)
-        //inactivated if completely outside the board
-        this.respawnOnNextUpdate = !this.someOnTheBoard;
+    animate(dt) {
+        super.animate(dt);
+        if (!this.isAnimationFinished) return;
+        this._age += dt;
+        this.opacity = Math.max(0, 1 - Math.max(0, this._age - this.lingerDuration) / this.fadeDuration);
+        if (this.opacity === 0) this._board.removeEntity(this);
     }
 }
 
 /**
- * represents a player on the board of the game
- * players are instantiated with a predefined visual and zIndex and are not allowed to move outside the board
+ * represents the marker left in a bay of the goal row that has been filled, showing the player sitting in it
  */
-class Player extends Actor {
+class BayMarker extends Prop {
     /**
-     * @param {Object} param 
+     * @param {Object} param
      * @param {Board} param.board the board that the entity belongs to
+     * @param {Point} param.position the position of the entity relative to its board
      */
-    constructor(board) {
-        const visual = new EntityVisual({sprite: "images/player.png", occupiedArea: new Area(new Point(34, 120), new Dimensions(34, 20))});
-        super({board: board, visual: visual, zIndex: 300, hitScoreIncrement: 0, removeOnHit: false, canMoveOutsideBoard: false});
+    constructor({ board, position = new Point(0, 0) }) {
+        const visual = new EntityVisual({
+            sprite: "images/player-sheet.png",
+            dimensions: board.grid.cellVisualTemplate.dimensions.clone(),
+            animations: {sit: {frames: [0], frameRate: 1, loop: true}}});
+        //the player never touches the marker, as a bay that has been filled cannot be entered again
+        super({ board: board, visual: visual, position: position, zIndex: 101, collidable: false });
+    }
+}
+
+/**
+ * represents a bonus item appearing in an empty bay of the goal row for a while, picked up by filling the bay.
+ * the bonus blinks during its last second, warning that it is about to disappear
+ */
+class BayBonus extends Prop {
+    /**
+     * @param {Object} param
+     * @param {Board} param.board the board that the entity belongs to
+     * @param {Point} param.position the position of the entity relative to its board
+     * @param {number} param.duration the time in seconds the bonus stays in the bay
+     */
+    constructor({ board, position = new Point(0, 0), duration = 4 }) {
+        const visual = new EntityVisual({ sprite: "images/bonus.png", occupiedArea: new Area(new Point(34, 70), new Dimensions(34, 45)) });
+        //the bonus is picked up by the goal row when its bay is filled, rather than by touching it
+        super({ board: board, visual: visual, position: position, zIndex: 102, collidable: false });
         /**
-         * @description the position of the player in the board grid.
-         *      the position is defined by the board on initialization.
-         * @type {GridPosition}
-         * @private
+         * @description the remaining time in seconds the bonus stays in the bay
+         * @type {number}
          */
-        this._gridPosition = board.playerStartPosition;
+        this.remainingTime = duration;
+    }
+
+    /**
+     * renders the bonus, blinking during its last second
+     * @param {number} alpha the fraction of the way from the previous to the current position to render the bonus at
+     * @param {CanvasRenderer|NullRenderer} renderer the renderer to draw with
+     */
+    render(alpha = 1, renderer = this._board.renderer) {
+        if (this.remainingTime < 1 && Math.floor(this.remainingTime * 10) % 2 === 0) return;
+        super.render(alpha, renderer);
+    }
+}
+
+/**
+ * @typedef {Object} PowerUpKind
+ * @property {string} sprite the relative path to the image of power-ups of the kind
+ * @property {number} duration the time in seconds the effect of the kind lasts, 0 if it is applied at once, e.g. an extra life
+ * @property {number} maxStacks the number of times the effect can be stacked, 1 if picking up another power-up of the kind only restarts its timer
+ * @property {function(number): string} label returns the text the effect is shown with in the HUD, given the number of times it is stacked
+ */
+
+/**
+ * represents a power-up lying on a cell of the board for a while, which applies its effect when the player picks it up
+ */
+class PowerUp extends Prop {
+    /**
+     * @param {Object} param
+     * @param {Board} param.board the board that the entity belongs to
+     * @param {string} param.kind the kind of the power-up, one of the keys of PowerUp.kinds
+     * @param {Point} param.position the position of the entity relative to its board
+     * @param {number} param.duration the time in seconds the power-up stays on the board unless picked up
+     */
+    constructor({ board, kind, position = new Point(0, 0), duration = 6 }) {
+        if (!PowerUp.kinds[kind]) throw new Error(`power-up kind '${kind}' not supported`);
+        const visual = new EntityVisual({ sprite: PowerUp.kinds[kind].sprite, occupiedArea: new Area(new Point(24, 92), new Dimensions(52, 52)) });
+        //power-ups are removed when picked up, like diamonds
+        super({ board: board, visual: visual, position: position, zIndex: 101, removeOnHit: true });
         /**
-         * @description the score of the player
+         * @description the kind of the power-up
+         * @type {string}
+         */
+        this.kind = kind;
+        /**
+         * @description the remaining time in seconds the power-up stays on the board
          * @type {number}
-         * @private
          */
-        this.score = 0;
-        //move the player to its position in the grid
-        this.moveToCell(this._gridPosition.row, this._gridPosition.column);
+        this.remainingTime = duration;
     }
 
     /**
-     * @returns {Position} the position of the entity relative to its board
+     * picking up a power-up of an effect that is active stacks the effect once more, up to its maximum, and restarts its timer,
+     * so the effect always lasts its full duration from the latest pick-up.
+     * @returns {Object.<string, PowerUpKind>} the kinds of power-ups by name
      */
-    get position() {
-        return this._position;
+    static get kinds() {
+        return {
+            //enemies and platforms move at half speed
+            slow: {sprite: "images/powerup-slow.png", duration: 6, maxStacks: 1, label: () => "SLOW"},
+            //each stack takes a hit from an enemy instead of the player
+            shield: {sprite: "images/powerup-shield.png", duration: 20, maxStacks: 3, label: stacks => `SHIELD ${stacks}`},
+            //points gained are multiplied by one more than the stacks
+            multiplier: {sprite: "images/powerup-multiplier.png", duration: 10, maxStacks: 3, label: stacks => `SCORE x${stacks + 1}`},
+            //enemies stop where they are
+            freeze: {sprite: "images/powerup-freeze.png", duration: 3, maxStacks: 1, label: () => "FREEZE"},
+            //the player gets a life at once
+            life: {sprite: "images/powerup-life.png", duration: 0, maxStacks: 1, label: () => "LIFE"}
+        };
     }
 
     /**
-     * @param {Position} position the position of the entity relative to its board
+     * renders the power-up, blinking during its last second
+     * @param {number} alpha the fraction of the way from the previous to the current position to render the power-up at
+     * @param {CanvasRenderer|NullRenderer} renderer the renderer to draw with
      */
-    set position(position) {
-        throw new Error('player entities are not allowed to move freely');
+    render(alpha = 1, renderer = this._board.renderer) {
+        if (this.remainingTime < 1 && Math.floor(this.remainingTime * 10) % 2 === 0) return;
+        super.render(alpha, renderer);
     }
+}
 
+/**
+ * represents an enemy on the board of the game, by default a bug driving along a lane at a constant speed.
+ * enemies are instantiated with a predefined zIndex and are allowed to move outside the board.
+ * other kinds of enemies extend it with their own visual, score penalty and behaviour, see BoardGridLane.enemyClasses
+ */
+class Enemy extends Actor {
     /**
-     * overrides inherited canMove method and prevents use, as a player cannot move freely on the board,
-     * but needs to move from cell to cell in the grid
-     * @param {Object} increment a vector representing the position to move to relative to the current position
-     * @param {number} increment.x the horizontal increment of the vector in 2D space
-     * @param {number} increment.y the vertical increment of the vector in 2D space
-     * @returns {boolean} true if the actor is allowed to the position specified by the increment vector
+     * @param {Object} param
+     * @param {Board} param.board the board that the entity belongs to
+     * @param {number} param.hitScoreIncrement the increment in the player score if hit by the player
+     * @param {boolean} param.removeOnHit true if the enemy is to be removed after being hit
+     * @param {Object} param.moveIncrement a vector representing the direction and speed of an enemy move on the board
+     * @param {number} param.moveIncrement.x the horizontal increment of the increment vector in 2D space
+     * @param {number} param.moveIncrement.y the vertical increment of the increment vector in 2D space
+     * @param {{left: string, right: string}} param.sprites the relative paths to the sprite sheets of the enemy facing left and right
+     * @param {Area} param.occupiedArea the area of the enemy within a frame of its sprite sheets
+     * @param {Object.<string, Animation>} param.animations the animations of the sprite sheets by name
+     */
+    constructor({board, hitScoreIncrement = -2, removeOnHit = false, moveIncrement = {x: 20, y: 0},
+                 sprites = {left: "images/enemy-left-sheet.png", right: "images/enemy-right-sheet.png"},
+                 occupiedArea = new Area(new Point(2, 102), new Dimensions(96, 42)),
+                 animations = {drive: {frames: [0, 1, 2, 3], frameRate: 10, loop: true}}}) {
+        const visual = new EntityVisual({sprite: moveIncrement.x >= 0 ? sprites.right : sprites.left,
+                                         dimensions: board.grid.cellVisualTemplate.dimensions.clone(),
+                                         occupiedArea: occupiedArea,
+                                         animations: animations});
+        super({ board: board, visual: visual, zIndex: 200, hitScoreIncrement: hitScoreIncrement, removeOnHit: removeOnHit, canMoveOutsideBoard: true});
+        /**
+         * @description a vector representing the direction and speed of an enemy move on the board
+         * @type {{x: number, y: number}}
+         */
+        this.moveIncrement = moveIncrement;
+        /**
+         * @description the relative paths to the sprite sheets of the enemy facing left and right
+         * @type {{left: string, right: string}}
+         * @private
+         */
+        this._sprites = sprites;
+        //faster enemies bounce faster while they drive
+        this.animationSpeed = Math.abs(moveIncrement.x) / 150;
+    }
+
+    /**
+     * @returns {string} the name of the scoring rule applied when the player is hit by an enemy of the kind
      */
-    canMove(increment = { x: 0, y: 0 }) {
-        throw new Error('player entities are not allowed to move freely, use canMoveInGrid instead');
+    static get scoreRule() {
+        return "enemy";
     }
 
     /**
-     * overrides inherited move method and prevents use, as a player cannot move freely on the board,
-     * but needs to move from cell to cell in the grid
-     * @param {Object} increment a vector representing the position to move to relative to the current position
-     * @param {number} increment.x the horizontal increment of the vector in 2D space
-     * @param {number} increment.y the vertical increment of the vector in 2D space
-     * @returns {boolean} true if the actor moved, false if the move was not allowed
+     * @returns {boolean} true if enemies of the kind stay on the board, moving back and forth along their row, 
+     *      rather than crossing it in a stream of traffic, so a lane holds a single enemy of the kind
      */
-    move(increment = { x: 0, y: 0 }, dt) {
-        throw new Error('player entities are not allowed to move freely, use moveInGrid instead');
+    static get patrols() {
+        return false;
     }
 
     /**
-     * returns a boolean indicating whether a actor is allowed to move in the direction specified in the board grid.
-     * @param {string} direction the direction to move the player in
-     * @returns {boolean} true if the player is allowed to move in the direction specified
+     * @param {CellType} cellType the type of a row
+     * @returns {boolean} true if a lane of enemies of the kind can run along rows of the type
      */
-    canMoveInGrid(direction) {
-        switch (direction) {
-            case "left":
-                return this._board.grid.hasCell(this._gridPosition.row, this._gridPosition.column-1);
-            case "up":
-                return this._board.grid.hasCell(this._gridPosition.row - 1, this._gridPosition.column);
-            case "right":
-                return this._board.grid.hasCell(this._gridPosition.row, this._gridPosition.column + 1);
-            case "down":
-                return this._board.grid.hasCell(this._gridPosition.row + 1, this._gridPosition.column);
-            default:
-                return false;
-        }
+    static canMoveAlong(cellType) {
+        return cellType.enemies;
     }
 
     /**
-     * moves the player in the direction specified in the board grid.     
-     * @param {string} direction the direction to move the player in
-     * @returns {boolean} true if the player moved, false if the move was not allowed
+     * @returns {number} the highest speed in pixels per second the enemy can reach, used to look ahead for it
      */
-    moveInGrid(direction){
-        if (!this.canMoveInGrid(direction)) return false;
-        switch (direction) {
-            case "left":
-                this._gridPosition.column--;
-                break;
-            case "up":
-                this._gridPosition.row--;
-                break;
-            case "right":
-                this._gridPosition.column++;
-                break;
-            case "down":
-                this._gridPosition.row++;
-                break;
-            default:
-                throw new Error("unsupported direction");
-        }
-        this.moveToCell(this._gridPosition.row, this._gridPosition.column);
-        return true;
+    get topSpeed() {
+        return Math.abs(this.moveIncrement.x);
     }
 
     /**
-     * @returns {BoardGridCell} the cell that the players in positioned on
+     * reverses the direction of the enemy, facing it the new way
      */
-    get occupiedCell() {
-        return this._board.grid.getCell(this._gridPosition.row, this._gridPosition.column);
+    turn() {
+        this.moveIncrement.x = -this.moveIncrement.x;
+        this._visual.sprite = this.moveIncrement.x >= 0 ? this._sprites.right : this._sprites.left;
     }
 
     /**
-     * leaves a blood prop on the cell the player is positioned on.
-     * used to indicate where on the board grid the player was hit (killed) by the enemy.
-     * @param {number} direction a number indicating a horizontal direction and speed.
-     * numbers >= 0 are left to right, negative numbers are right to left.
+     * moves the enemy horizontally based on its set move increment, i.e. speed and direction, and provided delta time
+     * @param {number} dt the delta time calculated for the computing environment
+     * @param {number} maxDistance the maximum distance the enemy is allowed to move, e.g. to keep its distance to an enemy ahead of it
      */
-    bleed(direction) {
-        const visual = new EntityVisual({ 
-            sprite: direction >= 0 ? "images/blood-right.png" : "images/blood-left.png", 
-            dimensions: this._board.grid.cellVisualTemplate.dimensions});
-        const blood = new Prop({ 
-            board: this._board, 
-            visual: visual,
-            position: this._position.clone(), 
-            zIndex: 100 });
-        this._board.nonPlayerEntities.push(blood);
+    update(dt, maxDistance = Infinity) {
+        const distance = Math.max(0, Math.min(Math.abs(this.moveIncrement.x * dt), maxDistance));
+        this.move({x: Math.sign(this.moveIncrement.x) * distance, y: 0});
+    }
+}
+
+/**
+ * represents a small, fast car, driving one and a half times as fast as the speed it is spawned with
+ */
+class Car extends Enemy {
+    /**
+     * @param {Object} param
+     * @param {Board} param.board the board that the entity belongs to
+     * @param {number} param.hitScoreIncrement the increment in the player score if hit by the player
+     * @param {boolean} param.removeOnHit true if the enemy is to be removed after being hit
+     * @param {{x: number, y: number}} param.moveIncrement a vector representing the direction and speed the car is spawned with
+     */
+    constructor({board, hitScoreIncrement = -3, removeOnHit = false, moveIncrement = {x: 20, y: 0}}) {
+        super({board: board, hitScoreIncrement: hitScoreIncrement, removeOnHit: removeOnHit,
+               moveIncrement: {x: moveIncrement.x * Car.speedFactor, y: moveIncrement.y},
+               sprites: {left: "images/car-left-sheet.png", right: "images/car-right-sheet.png"},
+               occupiedArea: new Area(new Point(8, 104), new Dimensions(86, 38)),
+               animations: {drive: {frames: [0, 1, 2, 3], frameRate: 12, loop: true}}});
+    }
+
+    /**
+     * @returns {number} the factor the speed a car is spawned with is multiplied by
+     */
+    static get speedFactor() {
+        return 1.5;
+    }
+
+    /**
+     * @returns {string} the name of the scoring rule applied when the player is hit by a car
+     */
+    static get scoreRule() {
+        return "car";
+    }
+}
+
+/**
+ * represents a long truck spanning several cells, drawn as a trailer with the cab at its front, each part in its own cell
+ */
+class Truck extends Enemy {
+    /**
+     * @param {Object} param
+     * @param {Board} param.board the board that the entity belongs to
+     * @param {number} param.hitScoreIncrement the increment in the player score if hit by the player
+     * @param {boolean} param.removeOnHit true if the enemy is to be removed after being hit
+     * @param {{x: number, y: number}} param.moveIncrement a vector representing the direction and speed of the truck
+     * @param {number} param.length the number of cells the truck is long, at least 2
+     */
+    constructor({board, hitScoreIncrement = -4, removeOnHit = false, moveIncrement = {x: 20, y: 0}, length = 2}) {
+        const cellWidth = board.grid.cellVisualTemplate.dimensions.width;
+        //the occupied area spans all parts, leaving the same margin at both ends as a single cell enemy
+        super({board: board, hitScoreIncrement: hitScoreIncrement, removeOnHit: removeOnHit, moveIncrement: moveIncrement,
+               sprites: {left: "images/truck-left-sheet.png", right: "images/truck-right-sheet.png"},
+               occupiedArea: new Area(new Point(2, 96), new Dimensions(cellWidth * length - 4, 44)),
+               animations: {drive: {frames: [0], frameRate: 1, loop: true}}});
+        /**
+         * @description the number of cells the truck is long
+         * @type {number}
+         */
+        this.length = length;
+    }
+
+    /**
+     * @returns {string} the name of the scoring rule applied when the player is hit by a truck
+     */
+    static get scoreRule() {
+        return "truck";
+    }
+
+    /**
+     * @returns {Area} the area relative to the board covered by all parts of the truck
+     */
+    get area() {
+        return new Area(this._position, new Dimensions(this.dimensions.width * this.length, this.dimensions.height));
+    }
+
+    /**
+     * renders each part of the truck in its own cell, interpolated between its previous and current position.
+     * the sprite sheet facing right holds the trailer and the cab, and the one facing left the cab and the trailer
+     * @param {number} alpha the fraction of the way from the previous to the current position to render the truck at
+     * @param {CanvasRenderer|NullRenderer} renderer the renderer to draw with
+     */
+    render(alpha = 1, renderer = this._board.renderer) {
+        const position = this.interpolatedPosition(alpha);
+        const cab = this.moveIncrement.x >= 0 ? this.length - 1 : 0;
+        const cabFrame = this.moveIncrement.x >= 0 ? 1 : 0;
+        for (let index = 0; index < this.length; index++) {
+            const frame = index === cab ? cabFrame : 1 - cabFrame;
+            renderer.drawSprite(this._visual.sprite, position.x + index * this.dimensions.width, position.y,
+                                {frame: this._visual.frameArea(frame), opacity: this.opacity});
+        }
+    }
+}
+
+/**
+ * represents a racer, which keeps speeding up and slowing down around the speed it is spawned with
+ */
+class Racer extends Enemy {
+    /**
+     * @param {Object} param
+     * @param {Board} param.board the board that the entity belongs to
+     * @param {number} param.hitScoreIncrement the increment in the player score if hit by the player
+     * @param {boolean} param.removeOnHit true if the enemy is to be removed after being hit
+     * @param {{x: number, y: number}} param.moveIncrement a vector representing the direction and average speed of the racer
+     * @param {number} param.surgeTime the time in seconds into the cycle of speeding up and slowing down the racer starts at
+     */
+    constructor({board, hitScoreIncrement = -3, removeOnHit = false, moveIncrement = {x: 20, y: 0}, surgeTime = 0}) {
+        super({board: board, hitScoreIncrement: hitScoreIncrement, removeOnHit: removeOnHit, moveIncrement: moveIncrement,
+               sprites: {left: "images/racer-left-sheet.png", right: "images/racer-right-sheet.png"}});
+        /**
+         * @description the average speed of the racer in pixels per second
+         * @type {number}
+         */
+        this.averageSpeed = Math.abs(moveIncrement.x);
+        /**
+         * @description the time in seconds into the cycle of speeding up and slowing down
+         * @type {number}
+         * @private
+         */
+        this._surgeTime = surgeTime;
+        this._updateSpeed();
+    }
+
+    /**
+     * @returns {number} the time in seconds a racer takes to speed up and slow down again
+     */
+    static get surgePeriod() {
+        return 3;
+    }
+
+    /**
+     * @returns {number} the fraction of its average speed a racer speeds up and slows down by
+     */
+    static get surge() {
+        return 0.6;
+    }
+
+    /**
+     * @returns {string} the name of the scoring rule applied when the player is hit by a racer
+     */
+    static get scoreRule() {
+        return "racer";
+    }
+
+    /**
+     * @returns {number} the speed of the racer at the top of its surge
+     */
+    get topSpeed() {
+        return this.averageSpeed * (1 + Racer.surge);
+    }
+
+    /**
+     * advances the cycle of speeding up and slowing down, and moves the racer
+     * @param {number} dt the delta time calculated for the computing environment
+     * @param {number} maxDistance the maximum distance the racer is allowed to move, e.g. to keep its distance to an enemy ahead of it
+     */
+    update(dt, maxDistance = Infinity) {
+        this._surgeTime += dt;
+        this._updateSpeed();
+        super.update(dt, maxDistance);
+    }
+
+    /**
+     * sets the speed of the racer to the speed at its time into the cycle of speeding up and slowing down
+     * @private
+     */
+    _updateSpeed() {
+        const speed = this.averageSpeed * (1 + Racer.surge * Math.sin(2 * Math.PI * this._surgeTime / Racer.surgePeriod));
+        this.moveIncrement.x = Math.sign(this.moveIncrement.x) * speed;
+        this.animationSpeed = speed / 150;
+    }
+}
+
+/**
+ * represents a snake, which patrols a row back and forth, turning at the edges of the board.
+ * unlike vehicles, snakes are not bound to roads, they can patrol any row the player can walk along, e.g. grass
+ */
+class Snake extends Enemy {
+    /**
+     * @param {Object} param
+     * @param {Board} param.board the board that the entity belongs to
+     * @param {number} param.hitScoreIncrement the increment in the player score if hit by the player
+     * @param {boolean} param.removeOnHit true if the enemy is to be removed after being hit
+     * @param {{x: number, y: number}} param.moveIncrement a vector representing the direction and speed of the snake
+     */
+    constructor({board, hitScoreIncrement = -1, removeOnHit = false, moveIncrement = {x: 20, y: 0}}) {
+        super({board: board, hitScoreIncrement: hitScoreIncrement, removeOnHit: removeOnHit, moveIncrement: moveIncrement,
+               sprites: {left: "images/snake-left-sheet.png", right: "images/snake-right-sheet.png"},
+               occupiedArea: new Area(new Point(8, 112), new Dimensions(88, 24)),
+               animations: {slither: {frames: [0, 1, 2, 3], frameRate: 6, loop: true}}});
+        this.animationSpeed = 1;
+    }
+
+    /**
+     * @returns {string} the name of the scoring rule applied when the player is hit by a snake
+     */
+    static get scoreRule() {
+        return "snake";
+    }
+
+    /**
+     * @returns {boolean} true, as snakes stay on the board
+     */
+    static get patrols() {
+        return true;
+    }
+
+    /**
+     * @param {CellType} cellType the type of a row
+     * @returns {boolean} true if the player can walk along rows of the type, and nothing happens there, i.e. snakes stay away from water and bays
+     */
+    static canMoveAlong(cellType) {
+        return cellType.walkable && !cellType.platforms && !cellType.onContact;
+    }
+
+    /**
+     * moves the snake, turning it when it reaches the edge of the board it is moving towards
+     * @param {number} dt the delta time calculated for the computing environment
+     * @param {number} maxDistance the maximum distance the snake is allowed to move
+     */
+    update(dt, maxDistance = Infinity) {
+        const gridArea = this._board.grid.occupiedArea;
+        const area = this.occupiedArea;
+        //a snake entering the board from outside only turns at the far edge
+        if (this.moveIncrement.x > 0 ? area.topRight.x >= gridArea.topRight.x : area.topLeft.x <= gridArea.topLeft.x) this.turn();
+        super.update(dt, maxDistance);
+    }
+}
+
+/**
+ * represents a chaser, which drives along its row towards the column of the player, waiting there until the player moves on
+ */
+class Chaser extends Enemy {
+    /**
+     * @param {Object} param
+     * @param {Board} param.board the board that the entity belongs to
+     * @param {number} param.hitScoreIncrement the increment in the player score if hit by the player
+     * @param {boolean} param.removeOnHit true if the enemy is to be removed after being hit
+     * @param {{x: number, y: number}} param.moveIncrement a vector representing the direction and speed of the chaser
+     */
+    constructor({board, hitScoreIncrement = -3, removeOnHit = false, moveIncrement = {x: 20, y: 0}}) {
+        super({board: board, hitScoreIncrement: hitScoreIncrement, removeOnHit: removeOnHit, moveIncrement: moveIncrement,
+               sprites: {left: "images/chaser-left-sheet.png", right: "images/chaser-right-sheet.png"},
+               occupiedArea: new Area(new Point(8, 104), new Dimensions(84, 40))});
+    }
+
+    /**
+     * @returns {string} the name of the scoring rule applied when the player is hit by a chaser
+     */
+    static get scoreRule() {
+        return "chaser";
+    }
+
+    /**
+     * @returns {boolean} true, as chasers stay on the board
+     */
+    static get patrols() {
+        return true;
+    }
+
+    /**
+     * moves the chaser towards the column of the player, turning it if the player is behind it
+     * @param {number} dt the delta time calculated for the computing environment
+     * @param {number} maxDistance the maximum distance the chaser is allowed to move
+     */
+    update(dt, maxDistance = Infinity) {
+        const offset = this._board.player.occupiedArea.center.x - this.occupiedArea.center.x;
+        if (offset * this.moveIncrement.x < 0) this.turn();
+        //the chaser stops when it is lined up with the player, rather than overshooting
+        super.update(dt, Math.min(maxDistance, Math.abs(offset)));
+    }
+}
+
+/**
+ * represents a platform floating along a river row of the board, which the player can stand on and is carried along by.
+ * a platform is a number of segments long, each segment being drawn as a frame of the sprite sheet of the platform in its own cell.
+ * @abstract
+ */
+class Platform extends Actor {
+    /**
+     * @param {Object} param
+     * @param {Board} param.board the board that the entity belongs to
+     * @param {string} param.sprite the relative path to the sprite sheet of the platform
+     * @param {Object.<string, Animation>} param.animations the animations of the sprite sheet by name
+     * @param {number} param.length the number of cells the platform is long
+     * @param {Object} param.moveIncrement a vector representing the direction and speed of the platform
+     * @param {number} param.moveIncrement.x the horizontal increment of the increment vector in 2D space
+     * @param {number} param.moveIncrement.y the vertical increment of the increment vector in 2D space
+     */
+    constructor({board, sprite, animations, length = 1, moveIncrement = {x: 60, y: 0}}) {
+        const cellVisual = board.grid.cellVisualTemplate;
+        //the occupied area spans all segments, covering the cells the platform floats over
+        const visual = new EntityVisual({sprite: sprite,
+                                         dimensions: cellVisual.dimensions.clone(),
+                                         occupiedArea: new Area(cellVisual.occupiedArea.position.clone(),
+                                                                new Dimensions(cellVisual.occupiedArea.width * length, cellVisual.occupiedArea.height)),
+                                         animations: animations});
+        //platforms are drawn below the actors on them, and the player stands on them rather than colliding with them
+        super({board: board, visual: visual, zIndex: 50, canMoveOutsideBoard: true, collidable: false});
+        /**
+         * @description the number of cells the platform is long
+         * @type {number}
+         */
+        this.length = length;
+        /**
+         * @description a vector representing the direction and speed of the platform
+         * @type {{x: number, y: number}}
+         */
+        this.moveIncrement = moveIncrement;
+        /**
+         * @description the horizontal distance the platform moved in the latest update, which it carries the player standing on it
+         * @type {number}
+         */
+        this.lastMove = 0;
+    }
+
+    /**
+     * @returns {boolean} true if the player can stand on the platform
+     */
+    get canBeStoodOn() {
+        return true;
+    }
+
+    /**
+     * returns a boolean indicating whether an entity is standing on the platform, i.e. whether the center of its occupied area is above it
+     * @param {Entity} entity the entity, e.g. the player
+     * @returns {boolean} true if the platform can be stood on and the entity is above it
+     */
+    supports(entity) {
+        return this.canBeStoodOn && this.spans(entity.occupiedArea.center.x);
+    }
+
+    /**
+     * @param {number} x a horizontal position on the board
+     * @returns {boolean} true if the platform stretches across the position, whether or not it can be stood on
+     */
+    spans(x) {
+        const area = this.occupiedArea;
+        return x >= area.topLeft.x && x <= area.topRight.x;
+    }
+
+    /**
+     * moves the platform along its row based on its move increment and provided delta time
+     * @param {number} dt the delta time calculated for the computing environment
+     */
+    update(dt) {
+        this.lastMove = this.moveIncrement.x * dt;
+        this.move({x: this.lastMove, y: 0});
+    }
+
+    /**
+     * @param {number} index the zero-based index of a segment of the platform, from its left end
+     * @returns {number} the zero-based index of the frame of the sprite sheet to draw the segment with
+     */
+    segmentFrame(index) {
+        return this.animationFrame;
+    }
+
+    /**
+     * renders each segment of the platform in its own cell, interpolated between its previous and current position
+     * @param {number} alpha the fraction of the way from the previous to the current position to render the platform at
+     * @param {CanvasRenderer|NullRenderer} renderer the renderer to draw with
+     */
+    render(alpha = 1, renderer = this._board.renderer) {
+        const position = this.interpolatedPosition(alpha);
+        const segmentWidth = this._board.grid.cellVisualTemplate.occupiedArea.width;
+        for (let index = 0; index < this.length; index++) {
+            renderer.drawSprite(this._visual.sprite, position.x + index * segmentWidth, position.y, 
+                                {frame: this._visual.frameArea(this.segmentFrame(index)), opacity: this.opacity});
+        }
+    }
+}
+
+/**
+ * represents a log floating along a river row, drawn with a left end, middle segments and a right end
+ */
+class Log extends Platform {
+    /**
+     * @param {Object} param
+     * @param {Board} param.board the board that the entity belongs to
+     * @param {number} param.length the number of cells the log is long
+     * @param {{x: number, y: number}} param.moveIncrement a vector representing the direction and speed of the log
+     */
+    constructor({board, length = 3, moveIncrement = {x: 60, y: 0}}) {
+        super({board: board, sprite: "images/log-sheet.png", animations: {float: {frames: [1], frameRate: 1, loop: true}}, 
+               length: length, moveIncrement: moveIncrement});
+    }
+
+    /**
+     * @param {number} index the zero-based index of a segment of the log, from its left end
+     * @returns {number} the frame of the left end, a middle segment or the right end
+     */
+    segmentFrame(index) {
+        if (index === 0) return 0;
+        return index === this.length - 1 ? 2 : 1;
+    }
+}
+
+/**
+ * @typedef {Object} DiveCycle
+ * @property {number} surfaced the time in seconds diving turtles stay at the surface
+ * @property {number} submerged the time in seconds diving turtles stay under water, where they cannot be stood on
+ */
+
+/**
+ * represents a group of turtles swimming along a river row side by side.
+ * diving turtles sink on a timer: they stay at the surface, dive, stay under water for a while and surface again.
+ * the turtles can be stood on while diving and surfacing, which warns the player, but not while they are under water.
+ */
+class Turtles extends Platform {
+    /**
+     * @param {Object} param
+     * @param {Board} param.board the board that the entity belongs to
+     * @param {number} param.length the number of turtles in the group
+     * @param {{x: number, y: number}} param.moveIncrement a vector representing the direction and speed of the turtles
+     * @param {DiveCycle} param.dive the timing of the dives of the turtles, null if the turtles never dive
+     * @param {number} param.diveTime the time in seconds into the dive cycle the turtles start at, so groups dive at different times
+     */
+    constructor({board, length = 2, moveIncrement = {x: -60, y: 0}, dive = null, diveTime = 0}) {
+        super({board: board, sprite: "images/turtle-sheet.png", length: length, moveIncrement: moveIncrement,
+               animations: {
+                   swim: {frames: [0, 1], frameRate: 3, loop: true},
+                   dive: {frames: [2], frameRate: 1, loop: true},
+                   submerged: {frames: [3], frameRate: 1, loop: true}
+               }});
+        /**
+         * @description the timing of the dives of the turtles, null if the turtles never dive
+         * @type {DiveCycle}
+         */
+        this.dive = dive;
+        /**
+         * @description the time in seconds into the dive cycle
+         * @type {number}
+         * @private
+         */
+        this._diveTime = diveTime;
+        this._updateDive();
+    }
+
+    /**
+     * @returns {number} the time in seconds the turtles take to dive and to surface
+     */
+    static get diveDuration() {
+        return 0.6;
+    }
+
+    /**
+     * @returns {boolean} true unless the turtles are under water
+     */
+    get canBeStoodOn() {
+        return this.animationName !== "submerged";
+    }
+
+    /**
+     * moves the turtles and advances their dive cycle
+     * @param {number} dt the delta time calculated for the computing environment
+     */
+    update(dt) {
+        super.update(dt);
+        this._diveTime += dt;
+        this._updateDive();
+    }
+
+    /**
+     * plays the animation of the phase of the dive cycle the turtles are in: at the surface, diving, under water or surfacing
+     * @private
+     */
+    _updateDive() {
+        let animation = "swim";
+        if (this.dive) {
+            const cycle = this.dive.surfaced + this.dive.submerged + 2 * Turtles.diveDuration;
+            const time = this._diveTime % cycle;
+            if (time >= this.dive.surfaced + Turtles.diveDuration && time < cycle - Turtles.diveDuration) animation = "submerged";
+            else if (time >= this.dive.surfaced) animation = "dive";
+        }
+        if (this.animationName !== animation) this.playAnimation(animation);
+    }
+}
+
+/**
+ * represents a player on the board of the game
+ * players are instantiated with a predefined visual and zIndex and are not allowed to move outside the board
+ */
+class Player extends Actor {
+    /**
+     * @param {Object} param 
+     * @param {Board} param.board the board that the entity belongs to
+     */
+    constructor(board) {
+        const hopFrames = [1, 2, 2, 3];
+        const visual = new EntityVisual({sprite: "images/player-sheet.png", 
+                                         dimensions: board.grid.cellVisualTemplate.dimensions.clone(),
+                                         occupiedArea: new Area(new Point(34, 120), new Dimensions(34, 20)),
+                                         animations: {
+                                             idle: {frames: [0], frameRate: 1, loop: true},
+                                             //the hop animation lasts as long as a hop: crouching, jumping and landing
+                                             hop: {frames: hopFrames, frameRate: hopFrames.length / Math.max(board.playerMoveDuration, 0.1), loop: false, next: "idle"}
+                                         }});
+        super({board: board, visual: visual, zIndex: 300, hitScoreIncrement: 0, removeOnHit: false, canMoveOutsideBoard: false});
+        /**
+         * @description the position of the player in the board grid.
+         *      the position is defined by the board on initialization.
+         * @type {GridPosition}
+         * @private
+         */
+        this._gridPosition = board.playerStartPosition;
+        /**
+         * @description the score of the player
+         * @type {number}
+         * @private
+         */
+        this.score = 0;
+        /**
+         * @description the number of lives the player has left
+         * @type {number}
+         */
+        this.lives = board.numberOfLives;
+        /**
+         * @description the remaining time in seconds in which the player cannot be hit by enemies
+         * @type {number}
+         */
+        this.invulnerableTime = 0;
+        /**
+         * @description the hop in progress from one cell to the next, null if the player is standing still
+         * @type {{from: Point, to: Point, elapsed: number, duration: number}}
+         * @private
+         */
+        this._hop = null;
+        /**
+         * @description the direction of the move given while hopping, which is made as soon as the hop has landed
+         * @type {string}
+         * @private
+         */
+        this._queuedDirection = null;
+        /**
+         * @description the latest move of the player, null if it has not moved yet
+         * @type {{direction: string, isSlide: boolean}}
+         * @private
+         */
+        this._lastMove = null;
+        //move the player to its position in the grid
+        this.moveToCell(this._gridPosition.row, this._gridPosition.column);
+    }
+
+    /**
+     * @returns {Position} the position of the entity relative to its board
+     */
+    get position() {
+        return this._position;
+    }
+
+    /**
+     * @param {Position} position the position of the entity relative to its board
+     */
+    set position(position) {
+        throw new Error('player entities are not allowed to move freely');
+    }
+
+    /**
+     * overrides inherited canMove method and prevents use, as a player cannot move freely on the board,
+     * but needs to move from cell to cell in the grid
+     * @param {Object} increment a vector representing the position to move to relative to the current position
+     * @param {number} increment.x the horizontal increment of the vector in 2D space
+     * @param {number} increment.y the vertical increment of the vector in 2D space
+     * @returns {boolean} true if the actor is allowed to the position specified by the increment vector
+     */
+    canMove(increment = { x: 0, y: 0 }) {
+        throw new Error('player entities are not allowed to move freely, use canMoveInGrid instead');
+    }
+
+    /**
+     * overrides inherited move method and prevents use, as a player cannot move freely on the board,
+     * but needs to move from cell to cell in the grid
+     * @param {Object} increment a vector representing the position to move to relative to the current position
+     * @param {number} increment.x the horizontal increment of the vector in 2D space
+     * @param {number} increment.y the vertical increment of the vector in 2D space
+     * @returns {boolean} true if the actor moved, false if the move was not allowed
+     */
+    move(increment = { x: 0, y: 0 }, dt) {
+        throw new Error('player entities are not allowed to move freely, use moveInGrid instead');
+    }
+
+    /**
+     * returns a boolean indicating whether a actor is allowed to move in the direction specified in the board grid.
+     * @param {string} direction the direction to move the player in
+     * @returns {boolean} true if the player is allowed to move in the direction specified
+     */
+    canMoveInGrid(direction) {
+        let row = this._gridPosition.row;
+        let column = this._gridPosition.column;
+        switch (direction) {
+            case "left":
+                column--;
+                break;
+            case "up":
+                row--;
+                break;
+            case "right":
+                column++;
+                break;
+            case "down":
+                row++;
+                break;
+            default:
+                return false;
+        }
+        return this._board.grid.canEnter(row, column);
+    }
+
+    /**
+     * moves the player in the direction specified in the board grid.
+     * the player hops to the next cell over the move duration of the board, and the grid position is updated when the hop starts.
+     * a move given while the player is hopping is queued, replacing any move queued before it, and made when the hop has landed.
+     * @param {string} direction the direction to move the player in
+     * @returns {boolean} true if the player moved or the move was queued, false if the move was not allowed
+     */
+    moveInGrid(direction){
+        if (this.isMoving) {
+            if (!["left", "up", "right", "down"].includes(direction)) return false;
+            this._queuedDirection = direction;
+            return true;
+        }
+        if (!this.canMoveInGrid(direction)) return false;
+        this._move(direction, false);
+        return true;
+    }
+
+    /**
+     * slides the player one more cell in the direction of its latest move, e.g. on ice, unless that move was a slide itself
+     * @returns {boolean} true if the player slides, false if it cannot move on in the direction
+     */
+    slide() {
+        if (this.isMoving || !this._lastMove || this._lastMove.isSlide || !this.canMoveInGrid(this._lastMove.direction)) return false;
+        this._move(this._lastMove.direction, true);
+        return true;
+    }
+
+    /**
+     * moves the player to the next cell in a direction, hopping unless it slides there.
+     * the move takes longer if the cell the player leaves slows it down, e.g. mud
+     * @param {string} direction the direction to move the player in
+     * @param {boolean} isSlide true if the player slides rather than hops
+     * @private
+     */
+    _move(direction, isSlide) {
+        const cell = this._board.grid.hasCell(this._gridPosition.row, this._gridPosition.column) ? this.occupiedCell : null;
+        const duration = this._board.playerMoveDuration * (cell ? cell.cellType.moveDurationFactor : 1);
+        //on river rows the player keeps its offset from the center of its cell, as platforms carry it between the cells
+        const offset = this._position.x - this.positionInCell(this._gridPosition.row, this._gridPosition.column).x;
+        switch (direction) {
+            case "left":
+                this._gridPosition.column--;
+                break;
+            case "up":
+                this._gridPosition.row--;
+                break;
+            case "right":
+                this._gridPosition.column++;
+                break;
+            case "down":
+                this._gridPosition.row++;
+                break;
+            default:
+                throw new Error("unsupported direction");
+        }
+        if (!isSlide) {
+            this.playAnimation("hop");
+            this._board.emit("hop");
+        }
+        this._lastMove = {direction: direction, isSlide: isSlide};
+        let to = this.positionInCell(this._gridPosition.row, this._gridPosition.column);
+        if (this._board.grid.getPlatformLane(this._gridPosition.row)) to = to.offset(offset, 0);
+        if (duration > 0) {
+            this._hop = {from: this._position, to: to, elapsed: 0, duration: duration};
+        } else {
+            this._position = to;
+            this.storePreviousPosition();
+            this._land();
+        }
+    }
+
+    /**
+     * lands the player on the cell it has moved to, applying the terrain of the cell, and makes the move queued while it was moving
+     * @private
+     */
+    _land() {
+        //a hop carried off the board by a platform lands outside the grid, where the board drowns the player
+        if (!this._board.grid.hasCell(this._gridPosition.row, this._gridPosition.column)) return;
+        this._board.enterCell(this.occupiedCell);
+        //the terrain may have ended the turn of the player, e.g. by respawning it after a crossing, or moved it on, e.g. sliding on ice
+        if (this._board.player !== this || this._board.isLevelComplete || this._board.isGameOver || this.isMoving) return;
+        //a move queued while hopping into open water is not made, as the player drowns on landing
+        if (this._queuedDirection && !this._board.hasFooting(this, this._gridPosition.row)) this._queuedDirection = null;
+        if (this._queuedDirection) {
+            const direction = this._queuedDirection;
+            this._queuedDirection = null;
+            this.moveInGrid(direction);
+        }
+    }
+
+    /**
+     * @returns {boolean} true if the player is hopping from one cell to the next
+     */
+    get isMoving() {
+        return this._hop !== null;
+    }
+
+    /**
+     * @returns {boolean} true if the player currently cannot be hit by enemies
+     */
+    get isInvulnerable() {
+        return this.invulnerableTime > 0;
+    }
+
+    /**
+     * counts down the remaining invulnerability time and advances the hop in progress, 
+     * landing the player on its cell when the hop ends
+     * @param {number} dt the delta time calculated for the computing environment
+     */
+    update(dt) {
+        this.invulnerableTime = Math.max(0, this.invulnerableTime - dt);
+        if (!this.isMoving) return;
+        const hop = this._hop;
+        hop.elapsed += dt;
+        const progress = this._board.playerMoveEasing(Math.min(1, hop.elapsed / hop.duration));
+        this._position = new Point(hop.from.x + (hop.to.x - hop.from.x) * progress, hop.from.y + (hop.to.y - hop.from.y) * progress);
+        if (hop.elapsed < hop.duration) return;
+        this._position = hop.to;
+        this._hop = null;
+        this._land();
+    }
+
+    /**
+     * renders the player, blinking while the player is invulnerable
+     * @param {number} alpha the fraction of the way from the previous to the current position to render the player at
+     * @param {CanvasRenderer|NullRenderer} renderer the renderer to draw with
+     */
+    render(alpha = 1, renderer = this._board.renderer) {
+        //the player is hidden in every other tenth of a second while invulnerable
+        if (this.isInvulnerable && Math.floor(this.invulnerableTime * 10) % 2 === 0) return;
+        super.render(alpha, renderer);
+    }
+
+    /**
+     * @returns {GridPosition} a copy of the position of the player in the board grid
+     */
+    get gridPosition() {
+        return new GridPosition(this._gridPosition.row, this._gridPosition.column);
+    }
+
+    /**
+     * moves the player along with the platform it is standing on, keeping its grid position in the column it is carried into.
+     * the column is outside the grid once the player has been carried off the board
+     * @param {number} distance the horizontal distance the platform has moved
+     */
+    ride(distance) {
+        this._position = this._position.offset(distance, 0);
+        this._gridPosition.column = this._board.grid.columnAt(this.occupiedArea.center.x);
+    }
+
+    /**
+     * @returns {Area} the area the player will occupy when the hop in progress has landed, the area it occupies if it is not hopping
+     */
+    get landingArea() {
+        const position = this.isMoving ? this._hop.to : this._position;
+        return this.visual.occupiedArea.offset(position.x, position.y);
+    }
+
+    /**
+     * moves the spot the hop in progress lands on along its row, e.g. along with the platform the player is hopping onto,
+     * keeping its grid position in the column the spot is moved into. the column is outside the grid once the spot has been carried off the board
+     * @param {number} distance the horizontal distance to move the spot by
+     */
+    shiftLanding(distance) {
+        this._hop.to = this._hop.to.offset(distance, 0);
+        this._gridPosition.column = this._board.grid.columnAt(this.landingArea.center.x);
+    }
+
+    /**
+     * @returns {BoardGridCell} the cell that the players in positioned on
+     */
+    get occupiedCell() {
+        return this._board.grid.getCell(this._gridPosition.row, this._gridPosition.column);
+    }
+
+    /**
+     * leaves a blood splat on the cell the player is positioned on.
+     * used to indicate where on the board grid the player was hit (killed) by the enemy.
+     * @param {number} direction a number indicating a horizontal direction and speed.
+     * numbers >= 0 are left to right, negative numbers are right to left.
+     */
+    bleed(direction) {
+        const blood = new BloodSplat({ board: this._board, position: this._position.clone(), direction: direction });
+        this._board.addEntity(blood);
     }
 }
 
@@ -662,118 +1755,678 @@ class Player extends Actor {
  */
 class GridPosition {
     /**
-     * @param {number} row the zero-based index of the grid row
-     * @param {number} column the zero-based index of the grid column
+     * @param {number} row the zero-based index of the grid row
+     * @param {number} column the zero-based index of the grid column
+     */
+    constructor(row = 0, column = 0) {
+        /**
+         * @description the zero-based index of the grid row
+         * @type {number}
+         */
+        this.row = row;
+        /**
+         * @description the zero-based index of the grid column
+         * @type {number}
+         */
+        this.column = column;
+    }
+}
+
+/**
+ * represents a cell in the board grid
+ * board grid cells are instantiated with a predefined zIndex, and behave as declared by their type in the terrain registry, see terrain.js
+ */
+class BoardGridCell extends Prop {
+    /**
+     * @param {Object} param
+     * @param {BoardGrid} param.grid the board grid that the cell belongs to
+     * @param {string} param.type the name of the type of cell to create, registered in the terrain registry
+     * @param {Point} param.gridPosition the position the cell in its board grid
+     * @param {number} param.zIndex the stack order on the board, entities with a lower zIndex are painted before those with higher ones     
+     */
+    constructor({grid, type, gridPosition = new GridPosition(0,0), zIndex = 0}) {
+        const cellType = TERRAIN.get(type);
+        //creates the visual of the cell based on the provided type
+        const visual = new EntityVisual({ sprite: cellType.sprite, occupiedArea: new Area(new Point(0, 52), new Dimensions(101, 83)) });
+        //landing on the cell scores by the scoring rule of its type, e.g. reaching the water
+        const hitScoreIncrement = cellType.scoreRule && grid.board.scoring[cellType.scoreRule] || 0;
+        //the player does not collide with cells, but lands on them, see Board.enterCell
+        super({ board: grid.board, visual: visual, zIndex: zIndex, hitScoreIncrement: hitScoreIncrement, removeOnHit: false, collidable: false});
+        /**
+         * @description the type of the cell, e.g. road, water, grass, etc.
+         *      protected as the visual corresponds to the type
+         * @type {string}
+         * @protected
+         */
+        this._type = type;
+        /**
+         * @description the type of the cell, declaring its behaviour
+         * @type {CellType}
+         * @protected
+         */
+        this._cellType = cellType;
+        /**
+         * @description the type of the cell, e.g. road, water, grass, etc.
+         *      protected as the visual corresponds to the type
+         * @type {string}
+         * @protected
+         */
+        this._grid = grid;
+        /**
+         * @description the position the cell in its board grid
+         * @type {GridPosition}
+         * @protected
+         */        
+        this._gridPosition = gridPosition;
+        //place cell in board grid
+        this._position = grid.calculateCellPosition(gridPosition.row, gridPosition.column);
+    }
+
+    /**
+     * positions the cell in the grid at the grid position specified
+     * @param {number} row 
+     * @param {number} column 
      */
-    constructor(row = 0, column = 0) {
+    placeInGrid(row, column) {
+        this._gridPosition = new GridPosition(row, column);
+        this._position = this._grid.calculateCellPosition(row, column);
+    }
+
+    /**
+     * @returns {string} the name of the render layer the entity is drawn on, cells are the static background
+     */
+    get layer() {
+        return "background";
+    }
+
+    /**
+     * @returns {string} the type of cell
+     */
+    get type() {
+        return this._type;
+    }
+
+    /**
+     * @returns {CellType} the type of the cell, declaring its behaviour
+     */
+    get cellType() {
+        return this._cellType;
+    }
+
+    /**
+     * @returns {grid} the grid that the cell belongs to
+     */
+    get grid() {
+        return this._grid;
+    }   
+
+    /**
+     * @returns {number} the zero-based index of the grid row in which the cell is positioned
+     */
+    get row() {
+        return this._gridPosition.row;
+    }
+
+    /**
+     * @returns {number} the zero-based index of the grid column in which the cell is positioned
+     */
+    get column() {
+        return this._gridPosition.column;
+    }
+
+    /**
+     * @returns {boolean} true if the cell is water on a river row, which the player must cross on platforms rather than reach
+     */
+    get isRiver() {
+        return this._cellType.platforms && !!this._grid.getPlatformLane(this.row);
+    }
+
+    /**
+     * @returns {boolean} true if the cell is a bay of the goal row, which the player must fill
+     */
+    get isBay() {
+        return this._type === "goal";
+    }
+
+    /**
+     * @returns {string[]} the supported cell types, i.e. the types registered in the terrain registry
+     */
+    static get types() {
+        return TERRAIN.names;
+    }
+
+    /**
+     * get the image to be used for the cell based on the specified type
+     * @param {string} type the cell type to get a corresponding image for
+     * @returns {string} a path to the image corresponding to the specified cell type
+     */
+    static typeToSprite(type) {
+        return TERRAIN.get(type).sprite;
+    }
+}
+
+/**
+ * represents a lane of enemy traffic along a road row of the board grid.
+ * all enemies in a lane are of the same kind and move in the same direction, and are spawned on a fixed interval just outside the board.
+ * enemies keep a minimum gap to the enemy ahead of them, slowing down if they catch up, 
+ * so there is always a gap wide enough for the player to cross.
+ * a lane of a kind of enemies that patrols its row, e.g. snakes, holds a single enemy, which enters the board and stays on it.
+ */
+class BoardGridLane {
+    /**
+     * @param {Object} param
+     * @param {BoardGrid} param.grid the board grid that the lane belongs to
+     * @param {number} param.row the zero-based index of the row that enemies in the lane move along
+     * @param {string} param.kind the kind of enemies in the lane, one of BoardGridLane.kinds
+     * @param {number} param.direction the direction enemies in the lane move in, 1 is left to right, -1 is right to left
+     * @param {{min: number, max: number}} param.enemyIncrementRange the range of speed enemies in the lane can be spawned having
+     * @param {number} param.spawnInterval the time in seconds between two enemies being spawned in the lane
+     * @param {number} param.gap the minimum gap between two enemies in the lane, measured in cells
+     */
+    constructor({grid, row, kind = "bug", direction = 1, enemyIncrementRange = {min: 50, max: 200}, spawnInterval = 3, gap = 1.5}) {
+        if (!grid) throw new Error("a grid is required");
+        if (direction !== 1 && direction !== -1) throw new Error("the direction of a lane must be either 1 or -1");
+        if (!BoardGridLane.kinds.includes(kind)) throw new Error(`enemy kind '${kind}' not supported`);
         /**
-         * @description the zero-based index of the grid row
+         * @description the board grid that the lane belongs to
+         * @type {BoardGrid}
+         * @protected
+         */
+        this._grid = grid;
+        /**
+         * @description the zero-based index of the row that enemies in the lane move along
          * @type {number}
          */
         this.row = row;
         /**
-         * @description the zero-based index of the grid column
+         * @description the kind of enemies in the lane
+         * @type {string}
+         */
+        this.kind = kind;
+        /**
+         * @description the direction enemies in the lane move in, 1 is left to right, -1 is right to left
          * @type {number}
          */
-        this.column = column;
+        this.direction = direction;
+        /**
+         * @description the range of speed enemies in the lane can be spawned having
+         * @type {{min: number, max: number}}
+         */
+        this.enemyIncrementRange = enemyIncrementRange;
+        /**
+         * @description the time in seconds between two enemies being spawned in the lane
+         * @type {number}
+         */
+        this.spawnInterval = spawnInterval;
+        /**
+         * @description the minimum gap between two enemies in the lane, measured in cells
+         * @type {number}
+         */
+        this.gap = gap;
+        /**
+         * @description the enemies currently in the lane, ordered from the front-most to the last spawned
+         * @type {Enemy[]}
+         */
+        this.enemies = [];
+        /**
+         * @description the remaining time in seconds until the next enemy is to be spawned
+         * @type {number}
+         * @private
+         */
+        this._spawnTimer = 0;
+    }
+
+    /**
+     * @returns {Object.<string, function(new: Enemy, Object)>} the classes of the supported kinds of enemies by kind
+     */
+    static get enemyClasses() {
+        return {bug: Enemy, car: Car, truck: Truck, racer: Racer, snake: Snake, chaser: Chaser};
+    }
+
+    /**
+     * @returns {string[]} the supported kinds of enemies
+     */
+    static get kinds() {
+        return Object.keys(BoardGridLane.enemyClasses);
+    }
+
+    /**
+     * @returns {function(new: Enemy, Object)} the class of the enemies in the lane
+     */
+    get enemyClass() {
+        return BoardGridLane.enemyClasses[this.kind];
+    }
+
+    /**
+     * @returns {number} the minimum gap between two enemies in the lane, measured in pixels
+     */
+    get gapWidth() {
+        return this.gap * this._grid.cellVisualTemplate.occupiedArea.width;
+    }
+
+    /**
+     * @returns {boolean} true if the last spawned enemy has moved far enough into the board to leave the minimum gap behind it
+     */
+    get isEntranceClear() {
+        if (!this.enemies.length) return true;
+        return this.gapBehind(this.enemies[this.enemies.length - 1]) >= this.gapWidth;
+    }
+
+    /**
+     * calculates the distance between the back of an enemy and the edge of the board where enemies in the lane are spawned
+     * @param {Enemy} enemy the enemy to calculate the distance for
+     * @returns {number} the distance in pixels
+     */
+    gapBehind(enemy) {
+        const gridArea = this._grid.occupiedArea;
+        return this.direction === 1 ? enemy.occupiedArea.topLeft.x - gridArea.topLeft.x : gridArea.topRight.x - enemy.occupiedArea.topRight.x;
+    }
+
+    /**
+     * calculates the gap between an enemy and the enemy ahead of it
+     * @param {Enemy} ahead the enemy ahead
+     * @param {Enemy} behind the enemy behind
+     * @returns {number} the gap in pixels
+     */
+    gapBetween(ahead, behind) {
+        return this.direction === 1 ? 
+            ahead.occupiedArea.topLeft.x - behind.occupiedArea.topRight.x : 
+            behind.occupiedArea.topLeft.x - ahead.occupiedArea.topRight.x;
+    }
+
+    /**
+     * @param {Enemy} enemy the enemy to test
+     * @returns {boolean} true if the enemy has moved completely past the far edge of the board
+     */
+    hasPassed(enemy) {
+        const gridArea = this._grid.occupiedArea;
+        return this.direction === 1 ? enemy.occupiedArea.topLeft.x > gridArea.topRight.x : enemy.occupiedArea.topRight.x < gridArea.topLeft.x;
+    }
+
+    /**
+     * removes all enemies from the lane and restarts the spawn timer, so the next enemy is spawned on next update
+     */
+    reset() {
+        this.enemies.forEach(enemy => this._grid.board.removeEntity(enemy));
+        this.enemies = [];
+        this._spawnTimer = 0;
+    }
+
+    /**
+     * fills the lane with traffic by simulating it until the slowest possible enemy would have crossed the board,
+     * so the lane looks like it has been running for a while when the game starts
+     */
+    prefill() {
+        const step = 1 / 20;
+        const distance = this._grid.occupiedArea.width + this._grid.cellVisualTemplate.occupiedArea.width;
+        const duration = Math.min(distance / this.enemyIncrementRange.min, 30);
+        for (let time = 0; time < duration; time += step) {
+            this.update(step);
+        }
+    }
+
+    /**
+     * spawns enemies when the spawn interval has passed and the entrance is clear, 
+     * moves the enemies of the lane while keeping the minimum gap between them, 
+     * and removes enemies that have moved past the board
+     * @param {number} dt the delta time calculated for the computing environment
+     */
+    update(dt) {
+        this._spawnTimer -= dt;
+        //the spawn is held back until the previous enemy has made room, to guarantee the gap
+        const isFull = this.enemyClass.patrols && this.enemies.length > 0;
+        if (this._spawnTimer <= 0 && this.isEntranceClear && !isFull) {
+            this.enemies.push(this._grid.board.spawnEnemy(this));
+            this._spawnTimer = Math.max(this._spawnTimer, 0) + this.spawnInterval;
+        }
+        //enemies are moved front to back, so that each enemy can keep its distance to the enemy ahead of it
+        this.enemies.forEach((enemy, index) => {
+            const maxDistance = index === 0 ? Infinity : this.gapBetween(this.enemies[index - 1], enemy) - this.gapWidth;
+            enemy.update(dt, maxDistance);
+        });
+        //enemies that have left the board are removed from the lane and the board
+        while (this.enemies.length && this.hasPassed(this.enemies[0])) {
+            this._grid.board.removeEntity(this.enemies.shift());
+        }
     }
 }
 
 /**
- * represents a cell in the board grid
- * board grid cells are instantiated with a predefined zIndex
+ * represents a lane of platforms floating along a river row of the board grid, e.g. logs or turtles.
+ * all platforms in a lane move in the same direction at the same speed, and are spawned just outside the board
+ * with a random gap to the platform ahead of them.
  */
-class BoardGridCell extends Prop {
+class BoardGridPlatformLane {
     /**
      * @param {Object} param
-     * @param {BoardGrid} param.grid the board grid that the cell belongs to
-     * @param {string} param.type the type of cell to create
-     * @param {Point} param.gridPosition the position the cell in its board grid
-     * @param {number} param.zIndex the stack order on the board, entities with a lower zIndex are painted before those with higher ones     
-     */
-    constructor({grid, type, gridPosition = new GridPosition(0,0), zIndex = 0}) {
-        //creates the visual of the cell based on the provided type
-        const visual = new EntityVisual({ sprite: BoardGridCell.typeToSprite(type), occupiedArea: new Area(new Point(0, 52), new Dimensions(101, 83)) });
-        const hitScoreIncrement = type === "water" ? 2 : 0;
-        super({ board: grid.board, visual: visual, zIndex: zIndex, hitScoreIncrement: hitScoreIncrement, removeOnHit: false});
+     * @param {BoardGrid} param.grid the board grid that the lane belongs to
+     * @param {number} param.row the zero-based index of the river row that the platforms in the lane float along
+     * @param {string} param.kind the kind of platforms in the lane, "log" or "turtle"
+     * @param {number} param.direction the direction the platforms move in, 1 is left to right, -1 is right to left
+     * @param {number} param.speed the speed of the platforms in pixels per second
+     * @param {number} param.length the number of cells each platform is long
+     * @param {{min: number, max: number}} param.gap the range of the gap between two platforms, measured in cells
+     * @param {DiveCycle} param.dive the timing of the dives of turtles, null if they never dive
+     */
+    constructor({grid, row, kind = "log", direction = 1, speed = 60, length = 3, gap = {min: 2, max: 4}, dive = null}) {
+        if (!grid) throw new Error("a grid is required");
+        if (direction !== 1 && direction !== -1) throw new Error("the direction of a lane must be either 1 or -1");
+        if (!BoardGridPlatformLane.kinds.includes(kind)) throw new Error(`platform kind '${kind}' not supported`);
         /**
-         * @description the type of the cell, e.g. road, water, grass, etc.
-         *      protected as the visual corresponds to the type
+         * @description the board grid that the lane belongs to
+         * @type {BoardGrid}
+         * @protected
+         */
+        this._grid = grid;
+        /**
+         * @description the zero-based index of the river row that the platforms in the lane float along
+         * @type {number}
+         */
+        this.row = row;
+        /**
+         * @description the kind of platforms in the lane, "log" or "turtle"
          * @type {string}
+         */
+        this.kind = kind;
+        /**
+         * @description the direction the platforms move in, 1 is left to right, -1 is right to left
+         * @type {number}
+         */
+        this.direction = direction;
+        /**
+         * @description the speed of the platforms in pixels per second
+         * @type {number}
+         */
+        this.speed = speed;
+        /**
+         * @description the number of cells each platform is long
+         * @type {number}
+         */
+        this.length = length;
+        /**
+         * @description the range of the gap between two platforms, measured in cells
+         * @type {{min: number, max: number}}
+         */
+        this.gap = gap;
+        /**
+         * @description the timing of the dives of turtles, null if they never dive
+         * @type {DiveCycle}
+         */
+        this.dive = dive;
+        /**
+         * @description the platforms currently in the lane, ordered from the front-most to the last spawned
+         * @type {Platform[]}
+         */
+        this.platforms = [];
+        /**
+         * @description the gap in pixels to leave behind the last spawned platform before the next one is spawned
+         * @type {number}
+         * @private
+         */
+        this._nextGapWidth = 0;
+    }
+
+    /**
+     * @returns {string[]} the supported kinds of platforms
+     */
+    static get kinds() {
+        return ["log", "turtle"];
+    }
+
+    /**
+     * calculates the distance between the back of a platform and the edge of the board where platforms in the lane are spawned
+     * @param {Platform} platform the platform to calculate the distance for
+     * @returns {number} the distance in pixels
+     */
+    gapBehind(platform) {
+        const gridArea = this._grid.occupiedArea;
+        return this.direction === 1 ? platform.occupiedArea.topLeft.x - gridArea.topLeft.x : gridArea.topRight.x - platform.occupiedArea.topRight.x;
+    }
+
+    /**
+     * @param {Platform} platform the platform to test
+     * @returns {boolean} true if the platform has floated completely past the far edge of the board
+     */
+    hasPassed(platform) {
+        const gridArea = this._grid.occupiedArea;
+        return this.direction === 1 ? platform.occupiedArea.topLeft.x > gridArea.topRight.x : platform.occupiedArea.topRight.x < gridArea.topLeft.x;
+    }
+
+    /**
+     * finds the platform an entity is standing on
+     * @param {Entity} entity the entity, e.g. the player
+     * @returns {Platform} the platform, or undefined if the entity is not standing on any platform of the lane
+     */
+    platformUnder(entity) {
+        return this.platforms.find(platform => platform.supports(entity));
+    }
+
+    /**
+     * removes all platforms from the lane, so the next platform is spawned on next update
+     */
+    reset() {
+        this.platforms.forEach(platform => this._grid.board.removeEntity(platform));
+        this.platforms = [];
+        this._nextGapWidth = 0;
+    }
+
+    /**
+     * fills the lane with platforms by simulating it until a platform would have floated across the board,
+     * so the lane looks like it has been running for a while when the game starts
+     */
+    prefill() {
+        const step = 1 / 20;
+        const distance = this._grid.occupiedArea.width + this._grid.cellVisualTemplate.occupiedArea.width * this.length;
+        const duration = Math.min(distance / this.speed, 60);
+        for (let time = 0; time < duration; time += step) {
+            this.update(step);
+        }
+    }
+
+    /**
+     * moves the platforms of the lane, spawns a platform when the last one has left the gap chosen for it, 
+     * and removes platforms that have floated past the board
+     * @param {number} dt the delta time calculated for the computing environment
+     */
+    update(dt) {
+        this.platforms.forEach(platform => platform.update(dt));
+        const last = this.platforms[this.platforms.length - 1];
+        if (!last || this.gapBehind(last) >= this._nextGapWidth) {
+            this.platforms.push(this._grid.board.spawnPlatform(this));
+            const random = this._grid.board.random;
+            this._nextGapWidth = (this.gap.min + random.next() * (this.gap.max - this.gap.min)) * this._grid.cellVisualTemplate.occupiedArea.width;
+        }
+        //platforms that have left the board are removed from the lane and the board
+        while (this.platforms.length && this.hasPassed(this.platforms[0])) {
+            this._grid.board.removeEntity(this.platforms.shift());
+        }
+    }
+}
+
+/**
+ * @typedef {Object} BonusTiming
+ * @property {number} interval the time in seconds from a bonus item disappearing, or the level starting, until the next one appears
+ * @property {number} duration the time in seconds a bonus item stays in its bay
+ */
+
+/**
+ * represents the goal row of the board grid, holding the home bays the player must fill, each once, to complete the level.
+ * the bays are spread evenly across the row, and the cells between them are grass banks the player can walk along.
+ * bonus items can appear in empty bays on a timer, and are picked up by filling their bay.
+ */
+class BoardGridGoal {
+    /**
+     * @param {Object} param
+     * @param {BoardGrid} param.grid the board grid that the goal row belongs to
+     * @param {number} param.row the zero-based index of the goal row
+     * @param {number} param.bays the number of bays in the row, half the columns rounded up if not provided
+     * @param {BonusTiming} param.bonus the timing of the bonus items, null if no bonus items appear
+     */
+    constructor({grid, row = 0, bays = null, bonus = null}) {
+        if (!grid) throw new Error("a grid is required");
+        const numberOfBays = bays === null ? Math.ceil(grid.numberOfColumns / 2) : bays;
+        if (!Number.isInteger(numberOfBays) || numberOfBays < 1 || numberOfBays > grid.numberOfColumns) {
+            throw new Error(`the number of bays must be from 1 to the ${grid.numberOfColumns} columns of the grid`);
+        }
+        /**
+         * @description the board grid that the goal row belongs to
+         * @type {BoardGrid}
          * @protected
          */
-        this._type = type;
+        this._grid = grid;
+        /**
+         * @description the zero-based index of the goal row
+         * @type {number}
+         */
+        this.row = row;
+        /**
+         * @description the zero-based indices of the columns holding the bays, from left to right
+         * @type {number[]}
+         */
+        this.bays = BoardGridGoal.bayColumns(numberOfBays, grid.numberOfColumns);
+        /**
+         * @description the timing of the bonus items, null if no bonus items appear
+         * @type {BonusTiming}
+         */
+        this.bonus = bonus;
+        /**
+         * @description the markers of the filled bays by column
+         * @type {Map.<number, BayMarker>}
+         * @private
+         */
+        this._markers = new Map();
         /**
-         * @description the type of the cell, e.g. road, water, grass, etc.
-         *      protected as the visual corresponds to the type
-         * @type {string}
-         * @protected
+         * @description the bonus item in a bay, null if there is none
+         * @type {BayBonus}
+         * @private
          */
-        this._grid = grid;
+        this._bonusItem = null;
         /**
-         * @description the position the cell in its board grid
-         * @type {GridPosition}
-         * @protected
-         */        
-        this._gridPosition = gridPosition;
-        //place cell in board grid
-        this._position = grid.calculateCellPosition(gridPosition.row, gridPosition.column);
+         * @description the column of the bay holding the bonus item
+         * @type {number}
+         * @private
+         */
+        this._bonusColumn = -1;
+        /**
+         * @description the time in seconds since the last bonus item disappeared, or since the level started
+         * @type {number}
+         * @private
+         */
+        this._bonusTime = 0;
     }
 
     /**
-     * positions the cell in the grid at the grid position specified
-     * @param {number} row 
-     * @param {number} column 
+     * spreads a number of bays evenly across the columns of a row, each bay in the middle of an equal share of the row
+     * @param {number} numberOfBays the number of bays
+     * @param {number} numberOfColumns the number of columns in the row
+     * @returns {number[]} the zero-based indices of the columns holding the bays, from left to right
      */
-    placeInGrid(row, column) {
-        this._gridPosition = new GridPosition(row, column);
-        this._position = this._grid.calculateCellPosition(row, column);
+    static bayColumns(numberOfBays, numberOfColumns) {
+        return Array.from({length: numberOfBays}, (_, index) => Math.floor((index + 0.5) * numberOfColumns / numberOfBays));
     }
 
     /**
-     * @returns {string} the type of cell
+     * @param {number} column the zero-based index of a column of the goal row
+     * @returns {boolean} true if the column holds a bay
      */
-    get type() {
-        return this._type;
+    isBay(column) {
+        return this.bays.includes(column);
     }
 
     /**
-     * @returns {grid} the grid that the cell belongs to
+     * @param {number} column the zero-based index of a column of the goal row
+     * @returns {boolean} true if the column holds a bay that has been filled
      */
-    get grid() {
-        return this._grid;
-    }   
+    isFilled(column) {
+        return this._markers.has(column);
+    }
 
     /**
-     * @returns {number} the zero-based index of the grid row in which the cell is positioned
+     * @returns {number[]} the zero-based indices of the columns holding the bays that have not been filled, from left to right
      */
-    get row() {
-        return this._gridPosition.row;
+    get emptyBays() {
+        return this.bays.filter(column => !this.isFilled(column));
     }
 
     /**
-     * @returns {number} the zero-based index of the grid column in which the cell is positioned
+     * @returns {number} the number of bays that have been filled
      */
-    get column() {
-        return this._gridPosition.column;
+    get filledCount() {
+        return this._markers.size;
     }
 
     /**
-     * get the image to be used for the cell based on the specified type
-     * @param {string} type the cell type to get a corresponding image for
-     * @returns {string} a path to the image corresponding to the specified cell type
+     * @returns {boolean} true if all bays have been filled
      */
-    static typeToSprite(type) {
-        switch (type) {
-            case "grass":
-                return "images/grass.png";
-            case "road":
-                return "images/road.png";
-            case "water":
-                return "images/water.png";
-            default:
-                throw new Error(`type '${type}' not supported`);
-        }   
+    get isComplete() {
+        return this.filledCount === this.bays.length;
+    }
+
+    /**
+     * @returns {number} the column of the bay holding a bonus item, -1 if there is none
+     */
+    get bonusColumn() {
+        return this._bonusItem ? this._bonusColumn : -1;
+    }
+
+    /**
+     * fills a bay, leaving a marker in it, and picks up the bonus item in the bay if there is one
+     * @param {number} column the zero-based index of the column holding the bay
+     * @returns {boolean} true if a bonus item was picked up
+     */
+    fill(column) {
+        if (!this.isBay(column)) throw new Error(`column ${column} does not hold a bay`);
+        if (this.isFilled(column)) throw new Error(`the bay in column ${column} has been filled already`);
+        const marker = new BayMarker({board: this._grid.board});
+        marker.moveToCell(this.row, column);
+        this._grid.board.addEntity(marker);
+        this._markers.set(column, marker);
+        const pickedUp = this.bonusColumn === column;
+        if (pickedUp) this._removeBonus();
+        return pickedUp;
+    }
+
+    /**
+     * empties all bays and removes the bonus item
+     */
+    reset() {
+        this._markers.forEach(marker => this._grid.board.removeEntity(marker));
+        this._markers.clear();
+        if (this._bonusItem) this._removeBonus();
+        this._bonusTime = 0;
+    }
+
+    /**
+     * counts down the time the bonus item stays in its bay, removing it when it is up,
+     * and places a bonus item in a random empty bay when the interval since the last one has passed
+     * @param {number} dt the delta time calculated for the computing environment
+     */
+    update(dt) {
+        if (!this.bonus) return;
+        if (this._bonusItem) {
+            this._bonusItem.remainingTime -= dt;
+            if (this._bonusItem.remainingTime <= 0) this._removeBonus();
+            return;
+        }
+        this._bonusTime += dt;
+        const emptyBays = this.emptyBays;
+        if (this._bonusTime < this.bonus.interval || !emptyBays.length) return;
+        const column = emptyBays[this._grid.board.random.between(0, emptyBays.length - 1)];
+        this._bonusItem = new BayBonus({board: this._grid.board, duration: this.bonus.duration});
+        this._bonusItem.moveToCell(this.row, column);
+        this._bonusColumn = column;
+        this._grid.board.addEntity(this._bonusItem);
+    }
+
+    /**
+     * removes the bonus item from its bay and restarts the interval until the next one appears
+     * @private
+     */
+    _removeBonus() {
+        this._grid.board.removeEntity(this._bonusItem);
+        this._bonusItem = null;
+        this._bonusColumn = -1;
+        this._bonusTime = 0;
     }
 }
 
@@ -789,8 +2442,12 @@ class BoardGrid {
      *      the array index represent the row index in the grid, and the length of the array represents the number of rows that
      *      the grid is to be created with
      * @param {EntityVisual} cellVisualTemplate the entity visual representing the dimensional specifications, i.e. dimensions and occupied area, applying to all cells
+     * @param {Object[]} lanes the definitions of the lanes of enemy traffic in the grid, see BoardGridLane for the properties of a definition
+     * @param {Object[]} platformLanes the definitions of the lanes of platforms on river rows, see BoardGridPlatformLane for the properties of a definition
+     * @param {Object} goal the definition of the bays of the goal row, if the first row is a "goal" row, see BoardGridGoal for the properties of the definition
+     * @param {{row: number, column: number, type: string}[]} cellTypes the types of single cells differing from the type of their row, e.g. hedges on grass
      */
-    constructor({ board, numberOfColumns = 7, rowTypes = ["water", "road", "road", "road", "road", "road", "grass", "grass"], cellVisualTemplate} = {}){        
+    constructor({ board, numberOfColumns = 7, rowTypes = ["water", "road", "road", "road", "road", "road", "grass", "grass"], cellVisualTemplate, lanes = [], platformLanes = [], goal = {}, cellTypes = []} = {}){        
         /**
          * @description the number of columns of the grid
          * @type {number}
@@ -824,11 +2481,13 @@ class BoardGrid {
          */
         this._cellVisualTemplate = cellVisualTemplate;
         /**
-         * @description the total area of the grid
+         * @description the total area of the grid, i.e. the full visual of all cells, 
+         *      where every row but the last is partly covered by the row below it
          * @type {Area}
          * @protected
          */        
-        this._area = new Area(new Point(0, 0), new Dimensions(ctx.canvas.width, ctx.canvas.height));
+        this._area = new Area(new Point(0, 0), new Dimensions(cellVisualTemplate.dimensions.width * numberOfColumns, 
+                                                              cellVisualTemplate.occupiedArea.height * (rowTypes.length - 1) + cellVisualTemplate.dimensions.height));
         /**
          * @description the total occupied area of the grid
          * @type {Area}
@@ -836,19 +2495,195 @@ class BoardGrid {
          */
         this._occupiedArea = new Area(cellVisualTemplate.occupiedArea.position.clone(), new Dimensions(cellVisualTemplate.occupiedArea.width * this.numberOfColumns, cellVisualTemplate.occupiedArea.height * this.numberOfRows))
         
+        const goalRow = rowTypes.indexOf("goal");
+        if (goalRow > 0 || rowTypes.lastIndexOf("goal") !== goalRow) throw new Error("only the first row can be the goal row");
+        /**
+         * @description the goal row of the grid holding the bays the player must fill, null if the grid has no goal row
+         * @type {BoardGridGoal}
+         * @protected
+         */
+        this._goal = goalRow === -1 ? null : new BoardGridGoal(Object.assign({grid: this, row: goalRow}, goal));
+
+        //the types of the cells differing from the type of their row by position
+        const cellTypeAt = new Map(cellTypes.map(cell => [`${cell.row},${cell.column}`, cell.type]));
+
         //populate grid with cells
         this._cells = [];
         let zIndex = 0;
         for (let rowIndex = 0; rowIndex < rowTypes.length; rowIndex++) {
-            const type = rowTypes[rowIndex];
             zIndex += rowIndex;
             for (let columnIndex = 0; columnIndex < numberOfColumns; columnIndex++) {
+                //the cells between the bays of the goal row are grass banks
+                const isBank = rowIndex === goalRow && !this._goal.isBay(columnIndex);
+                const type = cellTypeAt.get(`${rowIndex},${columnIndex}`) || (isBank ? "grass" : rowTypes[rowIndex]);
                 let cell = new BoardGridCell({grid: this, type: type, zIndex: zIndex});
                 this.setCell(cell, rowIndex, columnIndex);
                 //also save reference to cell in an array to make operations on the entire set of cells a bit more convenient
                 this._cells.push(cell);
             }
         }
+
+        /**
+         * @description the lanes of enemy traffic in the grid
+         * @type {BoardGridLane[]}
+         * @protected
+         */
+        this._lanes = lanes.map(lane => {
+            const kind = lane.kind || "bug";
+            if (!BoardGridLane.kinds.includes(kind)) throw new Error(`enemy kind '${kind}' not supported`);
+            if (!this.hasCell(lane.row, 0) || !BoardGridLane.enemyClasses[kind].canMoveAlong(TERRAIN.get(rowTypes[lane.row]))) {
+                throw new Error(`lanes of ${kind} enemies are not allowed on row ${lane.row}`);
+            }
+            return new BoardGridLane(Object.assign({grid: this}, lane));
+        });
+
+        /**
+         * @description the lanes of platforms on the river rows of the grid, i.e. the water rows the player must cross on platforms
+         * @type {BoardGridPlatformLane[]}
+         * @protected
+         */
+        this._platformLanes = platformLanes.map(lane => {
+            if (!this.hasCell(lane.row, 0) || !TERRAIN.get(rowTypes[lane.row]).platforms) throw new Error(`platforms are only allowed on rows of a type platforms float on, row ${lane.row} is not`);
+            return new BoardGridPlatformLane(Object.assign({grid: this}, lane));
+        });
+        //reaching the water of a river row scores nothing, the player must get across it
+        this._platformLanes.forEach(lane => this._rows[lane.row].forEach(cell => cell.hitScoreIncrement = 0));
+
+        /**
+         * @description the spatial index of the collidable entities on the board, holding the entities spanning each row, 
+         *      so collisions only need to be checked with the entities in the rows of the player
+         * @type {Set.<Entity>[]}
+         * @private
+         */
+        this._rowIndex = rowTypes.map(() => new Set());
+        /**
+         * @description the range of rows each entity in the spatial index is registered in
+         * @type {Map.<Entity, {first: number, last: number}>}
+         * @private
+         */
+        this._indexedRows = new Map();
+    }
+
+    /**
+     * calculates the range of rows that an area spans, measured by the occupied areas of the rows.
+     * an area touching the edge between two rows spans both, as areas touching each other intersect.
+     * @param {Area} area the area, e.g. the occupied area of an entity
+     * @returns {{first: number, last: number}} the zero-based indices of the first and last row spanned, 
+     *      where first is greater than last if the area is above or below the grid
+     */
+    rowsSpannedBy(area) {
+        const top = this._occupiedArea.topLeft.y;
+        const rowHeight = this._cellVisualTemplate.occupiedArea.height;
+        return {
+            first: Math.max(0, Math.ceil((area.topLeft.y - top) / rowHeight) - 1),
+            last: Math.min(this.numberOfRows - 1, Math.floor((area.bottomLeft.y - top) / rowHeight))
+        };
+    }
+
+    /**
+     * adds an entity to the spatial index, or updates the rows it is registered in if it is already indexed, e.g. after it has moved
+     * @param {Entity} entity the entity
+     */
+    indexEntity(entity) {
+        const rows = this.rowsSpannedBy(entity.occupiedArea);
+        const indexed = this._indexedRows.get(entity);
+        if (indexed && indexed.first === rows.first && indexed.last === rows.last) return;
+        if (indexed) this.unindexEntity(entity);
+        for (let row = rows.first; row <= rows.last; row++) this._rowIndex[row].add(entity);
+        this._indexedRows.set(entity, rows);
+    }
+
+    /**
+     * removes an entity from the spatial index
+     * @param {Entity} entity the entity
+     */
+    unindexEntity(entity) {
+        const indexed = this._indexedRows.get(entity);
+        if (!indexed) return;
+        for (let row = indexed.first; row <= indexed.last; row++) this._rowIndex[row].delete(entity);
+        this._indexedRows.delete(entity);
+    }
+
+    /**
+     * finds the indexed entities that may intersect with an area, i.e. the entities registered in the rows spanned by the area
+     * @param {Area} area the area, e.g. the occupied area of the player
+     * @returns {Entity[]} the entities, each included once
+     */
+    entitiesNear(area) {
+        const rows = this.rowsSpannedBy(area);
+        if (rows.first === rows.last) return [...this._rowIndex[rows.first]];
+        const entities = new Set();
+        for (let row = rows.first; row <= rows.last; row++) this._rowIndex[row].forEach(entity => entities.add(entity));
+        return [...entities];
+    }
+
+    /**
+     * @returns {BoardGridLane[]} the lanes of enemy traffic in the grid
+     */
+    get lanes() {
+        return this._lanes;
+    }
+
+    /**
+     * gets the lane of enemy traffic along the specified row
+     * @param {number} row the zero-based index of the row
+     * @returns {BoardGridLane} the lane of the row, or undefined if the row has no lane
+     */
+    getLane(row) {
+        return this._lanes.find(lane => lane.row === row);
+    }
+
+    /**
+     * @returns {BoardGridPlatformLane[]} the lanes of platforms on the river rows of the grid
+     */
+    get platformLanes() {
+        return this._platformLanes;
+    }
+
+    /**
+     * gets the lane of platforms along the specified row
+     * @param {number} row the zero-based index of the row
+     * @returns {BoardGridPlatformLane} the platform lane of the row, or undefined if the row is not a river row
+     */
+    getPlatformLane(row) {
+        return this._platformLanes.find(lane => lane.row === row);
+    }
+
+    /**
+     * @returns {BoardGridGoal} the goal row of the grid, null if the grid has no goal row
+     */
+    get goal() {
+        return this._goal;
+    }
+
+    /**
+     * returns a boolean indicating whether the player can move onto a grid position, 
+     * i.e. it exists, its cell can be walked on and it is not a bay that has been filled
+     * @param {number} row the zero-based index of the row in the grid
+     * @param {number} column the zero-based index of the column in the grid
+     * @returns {boolean} true if the player can move onto the position
+     */
+    canEnter(row, column) {
+        return this.hasCell(row, column) && this.getCell(row, column).cellType.walkable && !this.isFilledBay(row, column);
+    }
+
+    /**
+     * returns a boolean indicating whether a grid position holds a bay of the goal row that has been filled, which cannot be entered again
+     * @param {number} row the zero-based index of the row in the grid
+     * @param {number} column the zero-based index of the column in the grid
+     * @returns {boolean} true if the position holds a filled bay
+     */
+    isFilledBay(row, column) {
+        return !!this._goal && this._goal.row === row && this._goal.isFilled(column);
+    }
+
+    /**
+     * calculates the column of the grid that a horizontal position is within, measured by the occupied areas of the columns
+     * @param {number} x the horizontal position relative to the board
+     * @returns {number} the zero-based index of the column, which is outside the grid if the position is
+     */
+    columnAt(x) {
+        return Math.floor((x - this._occupiedArea.topLeft.x) / this._cellVisualTemplate.occupiedArea.width);
     }
 
     /**
@@ -933,71 +2768,429 @@ class BoardGrid {
                column >= 0 &&
                column < this.numberOfColumns;
     }
-    
+    
+    /**
+     * @returns {BoardGridCell[BoardGridCell[]]} an array of arrays representing the rows and within, columns, of the grid.
+     */
+    get rows() {
+        return this._rows;
+    }
+
+    /**
+     * @returns an array containing the type of cell each row is containing, where the goal row is "goal" although its banks are grass
+     */
+    get rowTypes() {
+        return this._rowTypes;
+    }
+    
+    /**
+     * calculates the position (top left corner) of a specified cell in the grid
+     * @param {row} row the zero-based index of the row in the grid
+     * @param {number} column the zero-based index of the column in the grid
+     * @returns {Point} the position (top left corner) of a specified cell in the grid
+     */
+    calculateCellPosition(row, column) {  
+        //cell dimensions equal the size of the occupied area of the visual template
+        //this enables the very specific stacking requirement of the current 3Dish visual representation of the board
+        const cellOccupiedAreaDimensions = this._board.cellVisualTemplate.occupiedArea.dimensions;
+        return new Point(column * cellOccupiedAreaDimensions.width, row * cellOccupiedAreaDimensions.height);
+    }
+}
+
+/**
+ * holds the timed effects of the power-ups the player has picked up, see PowerUp.kinds for the stacking rules
+ */
+class PowerUpEffects {
+    constructor() {
+        /**
+         * @description the active effects by kind, in the order they were activated
+         * @type {Map.<string, {stacks: number, remainingTime: number}>}
+         * @private
+         */
+        this._effects = new Map();
+    }
+
+    /**
+     * @returns {{kind: string, stacks: number, remainingTime: number}[]} the active effects, in the order they were activated
+     */
+    get active() {
+        return [...this._effects].map(([kind, effect]) => ({kind: kind, stacks: effect.stacks, remainingTime: effect.remainingTime}));
+    }
+
+    /**
+     * @param {string} kind the kind of a power-up
+     * @returns {boolean} true if the effect of the kind is active
+     */
+    isActive(kind) {
+        return this._effects.has(kind);
+    }
+
+    /**
+     * @param {string} kind the kind of a power-up
+     * @returns {number} the number of times the effect of the kind is stacked, 0 if it is not active
+     */
+    stacks(kind) {
+        return this.isActive(kind) ? this._effects.get(kind).stacks : 0;
+    }
+
+    /**
+     * activates the effect of a kind of power-up, or stacks it once more up to its maximum if it is active, restarting its timer.
+     * effects applied at once, e.g. an extra life, are not held
+     * @param {string} kind the kind of the power-up
+     */
+    activate(kind) {
+        const definition = PowerUp.kinds[kind];
+        if (!definition) throw new Error(`power-up kind '${kind}' not supported`);
+        if (!definition.duration) return;
+        this._effects.set(kind, {stacks: Math.min(this.stacks(kind) + 1, definition.maxStacks), remainingTime: definition.duration});
+    }
+
+    /**
+     * uses up a stack of an active effect, e.g. a shield taking a hit, ending the effect when no stacks are left
+     * @param {string} kind the kind of the power-up
+     * @returns {boolean} true if a stack was used up, false if the effect is not active
+     */
+    consume(kind) {
+        const effect = this._effects.get(kind);
+        if (!effect) return false;
+        effect.stacks--;
+        if (!effect.stacks) this._effects.delete(kind);
+        return true;
+    }
+
+    /**
+     * ends all effects
+     */
+    clear() {
+        this._effects.clear();
+    }
+
+    /**
+     * counts down the remaining time of the active effects, ending the effects whose time is up
+     * @param {number} dt the delta time calculated for the computing environment
+     */
+    update(dt) {
+        this._effects.forEach((effect, kind) => {
+            effect.remainingTime -= dt;
+            if (effect.remainingTime <= 0) this._effects.delete(kind);
+        });
+    }
+}
+
+/**
+ * @typedef {Object} PowerUpTiming
+ * @property {number} interval the time in seconds from a power-up being picked up or disappearing, or the level starting, until the next one appears
+ * @property {number} duration the time in seconds a power-up stays on the board unless picked up
+ * @property {string[]} kinds the kinds of power-ups that can appear, each as likely as the others
+ */
+
+/**
+ * places power-ups of random kinds on random free cells of the board on a timer, one at a time, and removes them when their time is up
+ */
+class PowerUpSpawner {
+    /**
+     * @param {Object} param
+     * @param {Board} param.board the board the power-ups are placed on
+     * @param {number} param.interval the time in seconds from a power-up being picked up or disappearing until the next one appears
+     * @param {number} param.duration the time in seconds a power-up stays on the board unless picked up
+     * @param {string[]} param.kinds the kinds of power-ups that can appear
+     */
+    constructor({board, interval = 12, duration = 6, kinds = Object.keys(PowerUp.kinds)}) {
+        if (!board) throw new Error("a board is required");
+        if (!kinds.length) throw new Error("at least one kind of power-up is required");
+        /**
+         * @description the board the power-ups are placed on
+         * @type {Board}
+         * @private
+         */
+        this._board = board;
+        /**
+         * @description the time in seconds from a power-up being picked up or disappearing until the next one appears
+         * @type {number}
+         */
+        this.interval = interval;
+        /**
+         * @description the time in seconds a power-up stays on the board unless picked up
+         * @type {number}
+         */
+        this.duration = duration;
+        /**
+         * @description the kinds of power-ups that can appear
+         * @type {string[]}
+         */
+        this.kinds = kinds;
+        /**
+         * @description the power-up on the board, null if there is none
+         * @type {PowerUp}
+         */
+        this.powerUp = null;
+        /**
+         * @description the time in seconds since the last power-up was picked up or disappeared, or since the level started
+         * @type {number}
+         * @private
+         */
+        this._time = 0;
+    }
+
+    /**
+     * registers that the power-up on the board has been picked up, and restarts the interval until the next one appears
+     */
+    collect() {
+        this.powerUp = null;
+        this._time = 0;
+    }
+
+    /**
+     * counts down the time the power-up stays on the board, removing it when it is up,
+     * and places a power-up on a random free cell when the interval since the last one has passed
+     * @param {number} dt the delta time calculated for the computing environment
+     */
+    update(dt) {
+        if (this.powerUp) {
+            this.powerUp.remainingTime -= dt;
+            if (this.powerUp.remainingTime > 0) return;
+            this._board.removeEntity(this.powerUp);
+            this.collect();
+            return;
+        }
+        this._time += dt;
+        if (this._time < this.interval) return;
+        const cells = this._board.freeCells();
+        if (!cells.length) return;
+        const random = this._board.random;
+        const kind = this.kinds[random.between(0, this.kinds.length - 1)];
+        const cell = cells[random.between(0, cells.length - 1)];
+        this.powerUp = new PowerUp({board: this._board, kind: kind, duration: this.duration});
+        this.powerUp.moveToCell(cell.row, cell.column);
+        this._board.addEntity(this.powerUp);
+    }
+}
+
+/**
+ * a minimal event dispatcher, allowing listeners to subscribe to named events
+ */
+class EventDispatcher {
+    constructor() {
+        /**
+         * @description the listeners registered for each event name
+         * @type {Object.<string, Function[]>}
+         * @private
+         */
+        this._listeners = {};
+    }
+
     /**
-     * @returns {BoardGridCell[BoardGridCell[]]} an array of arrays representing the rows and within, columns, of the grid.
+     * registers a listener to be called whenever the named event is emitted
+     * @param {string} eventName the name of the event to listen for
+     * @param {Function} listener the function to call when the event is emitted
      */
-    get rows() {
-        return this._rows;
+    on(eventName, listener) {
+        (this._listeners[eventName] = this._listeners[eventName] || []).push(listener);
     }
 
     /**
-     * @returns an array containing the type of cell each row is containing
+     * unregisters a listener previously registered for the named event
+     * @param {string} eventName the name of the event
+     * @param {Function} listener the listener to remove
      */
-    get rowTypes() {
-        return this._rows.map(row => row[0].type);
+    off(eventName, listener) {
+        if (!this._listeners[eventName]) return;
+        this._listeners[eventName] = this._listeners[eventName].filter(registered => registered !== listener);
     }
-    
+
     /**
-     * calculates the position (top left corner) of a specified cell in the grid
-     * @param {row} row the zero-based index of the row in the grid
-     * @param {number} column the zero-based index of the column in the grid
-     * @returns {Point} the position (top left corner) of a specified cell in the grid
+     * calls all listeners registered for the named event with the provided arguments
+     * @param {string} eventName the name of the event to emit
+     * @param {...*} args the arguments passed on to the listeners
      */
-    calculateCellPosition(row, column) {  
-        //cell dimensions equal the size of the occupied area of the visual template
-        //this enables the very specific stacking requirement of the current 3Dish visual representation of the board
-        const cellOccupiedAreaDimensions = this._board.cellVisualTemplate.occupiedArea.dimensions;
-        return new Point(column * cellOccupiedAreaDimensions.width, row * cellOccupiedAreaDimensions.height);
+    emit(eventName, ...args) {
+        //copying the array protects the iteration against listeners unregistering themselves
+        (this._listeners[eventName] || []).slice().forEach(listener => listener(...args));
     }
 }
 
+/**
+ * @typedef {Object} ScoringRules
+ * @property {number} water the increment in the player score when reaching the water
+ * @property {number} diamond the increment in the player score when picking up a diamond
+ * @property {number} enemy the increment in the player score when hit by an enemy, a bug or an enemy of a kind without a rule of its own
+ * @property {number} car the increment in the player score when hit by a car
+ * @property {number} truck the increment in the player score when hit by a truck
+ * @property {number} racer the increment in the player score when hit by a racer
+ * @property {number} snake the increment in the player score when bitten by a snake
+ * @property {number} chaser the increment in the player score when hit by a chaser
+ * @property {number} drown the increment in the player score when falling into a river or being carried off the board by a platform
+ * @property {number} bay the increment in the player score when filling a bay of the goal row
+ * @property {number} bonus the increment in the player score when picking up a bonus item in a bay, on top of filling the bay
+ * @property {number} progress the increment in the player score for each row the player reaches closer to the goal than before during a crossing
+ * @property {number} time the increment in the player score for each second left on the timer when completing a crossing, rounded down in total
+ */
+
+/**
+ * @typedef {Object} DiamondTier
+ * @property {string} kind the kind of gem diamonds of the tier are shown as, one of the keys of Diamond.kinds
+ * @property {number} value the increment in the player score when picking up a diamond of the tier
+ * @property {number} weight the chance of a diamond being of the tier, relative to the weights of the other tiers
+ */
+
+/**
+ * @typedef {Object} DiamondPlacement
+ * @property {string} cells the cells diamonds are placed randomly on, "diamonds" for cells of types diamonds can be placed on,
+ *      or "walkable" for those and any other cell the player can start on, e.g. grass
+ * @property {number} minDistance the minimum distance in cells, counting rows and columns, between the player and a diamond placed randomly
+ * @property {number} respawnDelay the time in seconds after which a collected diamond is placed again on a random free cell,
+ *      null if collected diamonds do not come back
+ * @property {DiamondTier[]} tiers the value tiers of the diamonds, null for a single tier of diamonds worth the diamond scoring rule
+ */
+
 /**
  * represents the game board
+ * the board emits the events "levelcomplete" when the player has reached the water enough times, filled all bays of the goal row
+ * or collected all diamonds, unless collected diamonds come back, and "gameover" when the player has lost.
+ * it also emits "hop" when the player starts hopping, "diamond" with the kind of gem when a diamond is picked up, "hit" when the player is hit by an enemy,
+ * "drown" when the player falls into a river, "crossing" when the player reaches the water or fills a bay,
+ * "bonus" when the player picks up a bonus item in a bay, "powerup" with the kind when the player picks up a power-up,
+ * and "shield" when a shield takes the hit of an enemy, e.g. to play sound effects.
+ * the points the player scores are itemised by the score keeper of the board, which also awards time bonuses, forward progress and diamond combos
  */
-class Board {
+class Board extends EventDispatcher {
     /**     
      * @param {Object} param 
      * @param {number} param.numberOfColumns the number of columns in the board's grid
      * @param {string[]} param.rowTypes an array containing the type of cell each row of the board's grid is to be populated with.
      *      the array index represent the row index in the grid, and the length of the array represents the number of rows that
      *      the grid is to be created with
-     * @param {number} param.numberOfEnemies the number of enemies that should be moving on the board at all times
      * @param {number} param.numberOfDiamonds the number of diamons to be placed on the board
-     * @param {{min: number, max: number}} param.enemyIncrementRange the range of enemy speed new enemies can be spawned having
+     * @param {GridPosition[]} param.diamondPositions the fixed grid positions to place diamonds at. 
+     *      if provided it takes precedence over numberOfDiamonds, otherwise diamonds are placed randomly on cells of types diamonds spawn on
+     * @param {DiamondPlacement} param.diamondPlacement the rules of placing diamonds randomly, placing collected diamonds again and valuing diamonds,
+     *      rules not set keep their defaults
+     * @param {Object[]} param.lanes the definitions of the lanes of enemy traffic on the board, see BoardGridLane for the properties of a definition
+     * @param {Object[]} param.platformLanes the definitions of the lanes of platforms on river rows, see BoardGridPlatformLane for the properties of a definition
+     * @param {Object} param.goal the definition of the bays of the goal row, if the first row is a "goal" row, see BoardGridGoal for the properties of the definition
+     * @param {{row: number, column: number, type: string}[]} param.cellTypes the types of single cells differing from the type of their row
+     * @param {PowerUpTiming} param.powerUps the timing and kinds of the power-ups appearing on the board, null if no power-ups appear
+     * @param {ScoringRules} param.scoring the increments in the player score applying to the board
+     * @param {number} param.crossingTime the time in seconds the timer of each crossing counts down from, the time left is awarded as time bonus
+     * @param {number} param.maxCombo the highest factor the points of a diamond are multiplied by when chaining diamonds without losing a life
+     * @param {number} param.numberOfLives the number of lives the player starts with
+     * @param {number} param.invulnerabilityDuration the time in seconds the player cannot be hit by enemies after being respawned
+     * @param {number} param.playerMoveDuration the time in seconds the player takes to hop from one cell to the next, 0 moves it instantly
+     * @param {function(number): number} param.playerMoveEasing the easing function shaping the hops of the player, see Easing
+     * @param {number} param.level the one-based number of the level the board represents
+     * @param {number} param.crossingsToComplete the number of times the player must reach the water to complete the level,
+     *      on a board with a goal row the level is complete when all bays are filled instead
+     * @param {Random} param.random the random number generator used for the diamond layout and the enemy stream,
+     *      a board created with a generator of a given seed always has the same diamond layout and enemy stream
+     * @param {CanvasRenderer|NullRenderer} param.renderer the renderer the board and its entities are drawn with, 
+     *      the board is not drawn if not provided, e.g. when simulated headlessly
      * @param {EntityVisual} param.cellVisualTemplate the entity visual representing the dimensional specifications, i.e. dimensions and occupied area, applying to all cells
      */
     constructor({numberOfColumns = 7, 
                  rowTypes = ["water", "road", "road", "road", "road", "road", "grass", "grass"], 
-                 numberOfEnemies = 10, 
                  numberOfDiamonds = 1,
-                 enemyIncrementRange = {min: 20, max: 200},
+                 diamondPositions = null,
+                 diamondPlacement = {},
+                 lanes = [],
+                 platformLanes = [],
+                 goal = {},
+                 cellTypes = [],
+                 powerUps = null,
+                 scoring = {water: 2, diamond: 1, enemy: -2, car: -3, truck: -4, racer: -3, snake: -1, chaser: -3, drown: -2, bay: 2, bonus: 3, progress: 1, time: 0.2},
+                 crossingTime = 30,
+                 maxCombo = 4,
+                 numberOfLives = 3,
+                 invulnerabilityDuration = 2,
+                 playerMoveDuration = 0.12,
+                 playerMoveEasing = Easing.easeOutQuad,
+                 level = 1,
+                 crossingsToComplete = 3,
+                 random = new Random(),
+                 renderer = new NullRenderer(),
                  cellVisualTemplate} = {}) {        
+        super();
         /**
-         * @description the number of enemies that should be moving on the board at all times
-         * @type {number}
+         * @description the renderer the board and its entities are drawn with
+         * @type {CanvasRenderer|NullRenderer}
+         */
+        this.renderer = renderer;
+        /**
+         * @description the random number generator used for the diamond layout and the enemy stream
+         * @type {Random}
          */
-        this.numberOfEnemies = numberOfEnemies;
+        this.random = random;
         /**
          * @description the number of diamonds to be placed on the board on initialization
          * @type {number}
          */
         this.numberOfDiamonds = numberOfDiamonds;
         /**
-         * @description the range of enemy speed new enemies can be spawned having
-         * @type {min: number, max: number}
+         * @description the fixed grid positions to place diamonds at, null if diamonds are placed randomly
+         * @type {GridPosition[]}
          */
-        this.enemyIncrementRange = enemyIncrementRange;
+        this.diamondPositions = diamondPositions;
+        /**
+         * @description the rules of placing diamonds randomly, placing collected diamonds again and valuing diamonds
+         * @type {DiamondPlacement}
+         */
+        this.diamondPlacement = Object.assign({cells: "diamonds", minDistance: 0, respawnDelay: null, tiers: null}, diamondPlacement);
+        if (!["diamonds", "walkable"].includes(this.diamondPlacement.cells)) throw new Error(`diamond cells '${this.diamondPlacement.cells}' not supported`);
+        /**
+         * @description the remaining times in seconds until collected diamonds are placed again, the earliest first
+         * @type {number[]}
+         * @private
+         */
+        this._diamondRespawns = [];
+        /**
+         * @description the increments in the player score applying to the board
+         * @type {ScoringRules}
+         */
+        this.scoring = scoring;
+        /**
+         * @description the number of lives the player starts with
+         * @type {number}
+         */
+        this.numberOfLives = numberOfLives;
+        /**
+         * @description the time in seconds the player cannot be hit by enemies after being respawned
+         * @type {number}
+         */
+        this.invulnerabilityDuration = invulnerabilityDuration;
+        /**
+         * @description the time in seconds the player takes to hop from one cell to the next
+         * @type {number}
+         */
+        this.playerMoveDuration = playerMoveDuration;
+        /**
+         * @description the easing function shaping the hops of the player
+         * @type {function(number): number}
+         */
+        this.playerMoveEasing = playerMoveEasing;
+        /**
+         * @description true when the player has run out of lives
+         * @type {boolean}
+         */
+        this.isGameOver = false;
+        /**
+         * @description the one-based number of the level the board represents
+         * @type {number}
+         */
+        this.level = level;
+        /**
+         * @description the number of times the player must reach the water to complete the level
+         * @type {number}
+         */
+        this.crossingsToComplete = crossingsToComplete;
+        /**
+         * @description the number of times the player has reached the water
+         * @type {number}
+         */
+        this.crossings = 0;
+        /**
+         * @description true when the level has been completed
+         * @type {boolean}
+         */
+        this.isLevelComplete = false;
         /**
          * @description the entity visual representing the dimensional specifications, i.e. dimensions and occupied area, applying to all cells
          * @type {EntityVisual}
@@ -1009,43 +3202,131 @@ class Board {
          * @type {BoardGrid}
          * @protected
          */
-        this._grid = new BoardGrid({board: this, numberOfColumns: numberOfColumns, rowTypes: rowTypes, cellVisualTemplate: cellVisualTemplate});
+        this._grid = new BoardGrid({board: this, numberOfColumns: numberOfColumns, rowTypes: rowTypes, cellVisualTemplate: cellVisualTemplate, 
+                                    lanes: lanes, platformLanes: platformLanes, goal: goal, cellTypes: cellTypes});
+        //filling a bay counts as a crossing, so filling every bay completes the level
+        if (this._grid.goal) this.crossingsToComplete = this._grid.goal.bays.length;
+        /**
+         * @description the keeper of the crossing timer, the forward progress and the diamond combo, itemising the points scored on the board
+         * @type {ScoreKeeper}
+         */
+        this.scoreKeeper = new ScoreKeeper({rules: scoring, crossingTime: crossingTime, maxCombo: maxCombo, startRow: this.playerStartPosition.row});
+        /**
+         * @description the spawner placing power-ups on the board on a timer, null if no power-ups appear
+         * @type {PowerUpSpawner}
+         * @private
+         */
+        this._powerUps = powerUps ? new PowerUpSpawner(Object.assign({board: this}, powerUps)) : null;
+        /**
+         * @description the active effects of the power-ups the player has picked up, which last through the player losing a life
+         * @type {PowerUpEffects}
+         */
+        this.effects = new PowerUpEffects();
         /**
          * @description an array containg all entities except the player currently on the board
          * @type {Entity[]}
          */
-        this.nonPlayerEntities = [...this._grid.cells];
-        //add entities to the board
-        this.placeDiamonds();
+        this.nonPlayerEntities = [];
+        /**
+         * @description the entities drawn on each render layer sorted by zIndex, by layer name.
+         *      a layer is only sorted again when an entity has been added to or removed from it
+         * @type {Object.<string, Entity[]>}
+         * @private
+         */
+        this._sortedLayers = {};
+        this._grid.cells.forEach(cell => this.addEntity(cell));
+        //add entities to the board, diamonds are kept away from the player
         this.player = new Player(this);
+        this.placeDiamonds();
         this.respawnEnemies();
+        this.respawnPlatforms();
     }
 
     /**
-     * places the set amount of diamonds on the board
-     * It will rmeove any existing diamonds before placing new ones
+     * places the set amount of diamonds on the board, at the fixed diamond positions if set, otherwise randomly on the cells of the diamond placement
+     * It will remove any existing diamonds, and any collected diamonds waiting to be placed again, before placing new ones
      */
     placeDiamonds() {        
         //delete existing diamonds
-        this.nonPlayerEntities.forEach(function (entity) { if (entity instanceof Diamond) this.entity.delete(prop)});
+        this.nonPlayerEntities.filter(entity => entity instanceof Diamond).forEach(diamond => this.removeEntity(diamond));
+        this._diamondRespawns = [];
+        if (this.diamondPositions) {
+            this.diamondPositions.forEach(position => this.placeDiamond(this._grid.getCell(position.row, position.column)));
+            return;
+        }
         //get cells where diamonds can be placed
-        const roadCells = this._grid.cells.filter(cell => cell.type === "road");
-        if (this.numberOfDiamonds > roadCells.length) throw new Error("not enough space on board to place all diamonds")
+        const diamondCells = this.diamondCells();
+        if (this.numberOfDiamonds > diamondCells.length) throw new Error("not enough space on board to place all diamonds")
 
         const indices = new Set();
         while(indices.size < this.numberOfDiamonds){
-            let index = randBetween(0, roadCells.length);
+            let index = this.random.between(0, diamondCells.length - 1);
             //avoid placing two diamonds in the same cell
             if(!indices.has(index)){
-                let cell = roadCells[index];
-                let diamond = new Diamond({ board: this, position: cell.position.clone(), hitScoreIncrement: 1});
-                diamond.moveToCell(cell.row, cell.column);
-                this.nonPlayerEntities.push(diamond);
+                this.placeDiamond(diamondCells[index]);
                 indices.add(index);
             }
         }
     }
 
+    /**
+     * places a diamond on the specified cell
+     * @param {BoardGridCell} cell the cell to place the diamond on
+     * @param {DiamondTier} tier the value tier of the diamond, picked randomly by the weights of the tiers if not provided
+     */
+    placeDiamond(cell, tier = this.pickDiamondTier()) {
+        let diamond = new Diamond({ board: this, kind: tier.kind, position: cell.position.clone(), hitScoreIncrement: tier.value});
+        diamond.moveToCell(cell.row, cell.column);
+        this.addEntity(diamond);
+    }
+
+    /**
+     * @returns {DiamondTier[]} the value tiers of the diamonds, a single tier of diamonds worth the diamond scoring rule if the placement sets none
+     */
+    get diamondTiers() {
+        return this.diamondPlacement.tiers || [{kind: "diamond", value: this.scoring.diamond, weight: 1}];
+    }
+
+    /**
+     * picks the value tier of a diamond randomly, each tier being picked with a chance proportional to its weight
+     * @returns {DiamondTier} the tier
+     */
+    pickDiamondTier() {
+        const tiers = this.diamondTiers;
+        //the random number generator is only drawn from if there is a choice, keeping the layouts of boards with a single tier
+        if (tiers.length === 1) return tiers[0];
+        let pick = this.random.next() * tiers.reduce((total, tier) => total + tier.weight, 0);
+        return tiers.find(tier => (pick -= tier.weight) < 0) || tiers[tiers.length - 1];
+    }
+
+    /**
+     * finds the cells a diamond can be placed on randomly: the free cells of the types of the diamond placement,
+     * at least the minimum distance away from the player
+     * @returns {BoardGridCell[]} the cells, ordered by row and column
+     */
+    diamondCells() {
+        const placement = this.diamondPlacement;
+        const playerPosition = this.player.gridPosition;
+        return this.freeCells(cellType => cellType.diamonds || (placement.cells === "walkable" && cellType.canStartOn))
+                   .filter(cell => Math.abs(cell.row - playerPosition.row) + Math.abs(cell.column - playerPosition.column) >= placement.minDistance);
+    }
+
+    /**
+     * counts down the times until collected diamonds are placed again, placing those that are due on random cells
+     * @param {number} dt the time in seconds since the last update
+     * @private
+     */
+    _updateDiamondRespawns(dt) {
+        this._diamondRespawns = this._diamondRespawns.map(time => time - dt);
+        while (this._diamondRespawns.length && this._diamondRespawns[0] <= 0) {
+            const cells = this.diamondCells();
+            //a diamond that is due waits for a cell to be free, e.g. far enough from the player
+            if (!cells.length) return;
+            this._diamondRespawns.shift();
+            this.placeDiamond(cells[this.random.between(0, cells.length - 1)]);
+        }
+    }
+
     /**
      * @returns {BoardGrid} the grid of the board
      */
@@ -1061,46 +3342,245 @@ class Board {
     }
 
     /**
-     * respawns the player at the default starting position on the board grid
-     * @param {boolean} keepScore true if the current score should be passed to the new Player instance
+     * respawns the player at the default starting position on the board grid.
+     * the respawned player cannot be hit by enemies for the duration set by this.invulnerabilityDuration
+     * @param {boolean} keepScore true if the current score and lives should be passed to the new Player instance
      */
     respawnPlayer(keepScore) {
         const score = this.player.score;
+        const lives = this.player.lives;
         this.player = new Player(this);
-        if (keepScore) this.player.score = score;
+        delete this._sortedLayers[this.player.layer];
+        if (keepScore) {
+            this.player.score = score;
+            this.player.lives = lives;
+        }
+        this.player.invulnerableTime = this.invulnerabilityDuration;
+    }
+
+    /**
+     * kills the player, costing a life. the player is respawned if it has lives left, otherwise the game is over.
+     * @param {number} direction a number indicating the horizontal direction of the killing enemy, used to select the blood sprite
+     */
+    killPlayer(direction) {
+        this.player.bleed(direction);
+        this.emit("hit");
+        this.loseLife();
+    }
+
+    /**
+     * drowns the player, who has fallen into a river or been carried off the board by a platform, costing a life and points
+     */
+    drownPlayer() {
+        this.addScore(this.scoring.drown, "drown");
+        this.emit("drown");
+        this.loseLife();
+    }
+
+    /**
+     * takes a life from the player, restarting the crossing timer and breaking the diamond combo.
+     * the player is respawned if it has lives left, otherwise the game is over.
+     */
+    loseLife() {
+        this.player.lives--;
+        this.scoreKeeper.loseLife();
+        if (this.player.lives > 0) {
+            this.respawnPlayer(true);
+            return;
+        }
+        this.isGameOver = true;
+        this.emit("gameover");
+    }
+
+    /**
+     * registers that the player has reached the water, awarding the time left on the crossing timer. the player is respawned to cross again,
+     * unless the number of crossings completes the level.
+     */
+    completeCrossing() {
+        this.addScore(this.scoreKeeper.completeCrossing(), "time");
+        this.crossings++;
+        this.emit("crossing");
+        if (this.crossings >= this.crossingsToComplete) {
+            this.completeLevel();
+            return;
+        }
+        this.respawnPlayer(true);
+    }
+
+    /**
+     * applies the terrain of the cell the player has landed on: the forward progress it makes, the score of its type, and what happens on contact with it
+     * @param {BoardGridCell} cell the cell
+     */
+    enterCell(cell) {
+        this.addScore(this.scoreKeeper.reachRow(cell.row), "progress");
+        if (cell.cellType.scoreRule) this.addScore(cell.hitScoreIncrement, cell.cellType.scoreRule);
+        if (cell.cellType.onContact) cell.cellType.onContact(this, cell, this.player);
+    }
+
+    /**
+     * fills a bay of the goal row, scoring the bonus item in it if there is one, and registers the crossing
+     * @param {number} column the zero-based index of the column holding the bay
+     */
+    fillBay(column) {
+        if (this._grid.goal.fill(column)) {
+            this.addScore(this.scoring.bonus, "bonus");
+            this.emit("bonus");
+        }
+        this.completeCrossing();
+    }
+
+    /**
+     * changes the score of the player, multiplying points gained while a score multiplier is active,
+     * and records the points in the score breakdown, the points added by the multiplier being an item of their own.
+     * the score does not drop below 0, so only the points actually taken are recorded, keeping the breakdown adding up to the score
+     * @param {number} points the points to add, negative to subtract points
+     * @param {string} item the name of the scoring rule the points are awarded by, e.g. "diamond"
+     */
+    addScore(points, item) {
+        if (!points) return;
+        if (points < 0) points = Math.max(points, -this.player.score);
+        const multiplier = points > 0 ? this.scoreMultiplier : 1;
+        this.player.score += points * multiplier;
+        this.scoreKeeper.breakdown.add(item, points);
+        if (multiplier > 1) this.scoreKeeper.breakdown.add("multiplier", points * (multiplier - 1));
+    }
+
+    /**
+     * @param {Function} EnemyClass the class of an enemy, e.g. Truck
+     * @returns {string} the name of the scoring rule applying to hits of enemies of the class: the rule of their kind, or "enemy" if there is none
+     */
+    enemyScoreRule(EnemyClass) {
+        return this.scoring[EnemyClass.scoreRule] === undefined ? "enemy" : EnemyClass.scoreRule;
+    }
+
+    /**
+     * @returns {number} the factor points gained are multiplied by, one more than the stacks of the active score multiplier
+     */
+    get scoreMultiplier() {
+        return 1 + this.effects.stacks("multiplier");
+    }
+
+    /**
+     * @returns {number} the factor the time of enemies and platforms is scaled by, slowed down while slow-time is active
+     */
+    get timeScale() {
+        return this.effects.isActive("slow") ? 0.5 : 1;
+    }
+
+    /**
+     * @returns {PowerUp} the power-up on the board, null if there is none
+     */
+    get powerUp() {
+        return this._powerUps ? this._powerUps.powerUp : null;
+    }
+
+    /**
+     * applies the effect of a power-up the player has picked up: an extra life at once, or a timed effect
+     * @param {PowerUp} powerUp the power-up
+     */
+    collectPowerUp(powerUp) {
+        if (this._powerUps) this._powerUps.collect();
+        if (powerUp.kind === "life") this.player.lives++;
+        else this.effects.activate(powerUp.kind);
+        this.emit("powerup", powerUp.kind);
+    }
+
+    /**
+     * finds the cells an item, e.g. a power-up, can be placed on: by default cells the player can start on, i.e. walkable cells where nothing happens,
+     * except the cell of the player and cells holding a diamond or a power-up
+     * @param {function(CellType): boolean} accepts returns true if items can be placed on cells of a type
+     * @returns {BoardGridCell[]} the cells, ordered by row and column
+     */
+    freeCells(accepts = cellType => cellType.canStartOn) {
+        const items = this.nonPlayerEntities.filter(entity => entity instanceof Diamond || entity instanceof PowerUp);
+        const playerPosition = this.player.gridPosition;
+        return this._grid.cells.filter(cell => accepts(cell.cellType) && this._grid.canEnter(cell.row, cell.column) &&
+                                               !(cell.row === playerPosition.row && cell.column === playerPosition.column) &&
+                                               !items.some(item => cell.occupiedArea.contains(item.occupiedArea.center)));
+    }
+
+    /**
+     * completes the level, stopping all movement on the board
+     */
+    completeLevel() {
+        this.isLevelComplete = true;
+        this.emit("levelcomplete");
     }
 
     /**
-     * respawns all enemies 
+     * respawns all enemies, filling each lane with traffic
      */
     respawnEnemies() {
-        //remove all existing enemies
-        this.nonPlayerEntities = this.nonPlayerEntities.filter(entity => !(entity instanceof Enemy));
-        //create new ones
-        for (let index = 0; index < this.numberOfEnemies; index++) {
-            this.spawnEnemy();
-        } 
-    }
-
-    /**
-     * spawns an enemy on the board on a randomly selected road row (just outside the board) 
-     * with a randomly selected speed and random move direction
-     */
-    spawnEnemy() {
-        //determine move direction
-        const direction = randBetween(0,1) === 1 ? 1 : -1;
-        //select a cell from each road row
-        const roadRowIndices = this._grid.rowTypes.map((row, index) => { return row === "road" ? index : -1 }).filter(index => index != -1)
-        //randomly select one of the cells
-        const roadIndex = randBetween(0, roadRowIndices.length-1);
-        const cellRowIndex = roadRowIndices[roadIndex];
+        this._grid.lanes.forEach(lane => {
+            lane.reset();
+            lane.prefill();
+        });
+    }
+
+    /**
+     * respawns all platforms, filling each river row with floating platforms
+     */
+    respawnPlatforms() {
+        this._grid.platformLanes.forEach(lane => {
+            lane.reset();
+            lane.prefill();
+        });
+    }
+
+    /**
+     * returns a boolean indicating whether an entity has a footing where it is, i.e. it is not on a river row, 
+     * or it is standing on a platform that can be stood on
+     * @param {Entity} entity the entity, e.g. the player
+     * @param {number} row the zero-based index of the row the entity is on
+     * @returns {boolean} true if the entity has a footing
+     */
+    hasFooting(entity, row) {
+        const lane = this._grid.getPlatformLane(row);
+        return !lane || !!lane.platformUnder(entity);
+    }
+
+    /**
+     * removes an entity from the board
+     * @param {Entity} entity the entity to remove
+     */
+    removeEntity(entity) {
+        const index = this.nonPlayerEntities.indexOf(entity);
+        if (index !== -1) this.nonPlayerEntities.splice(index, 1);
+        this._grid.unindexEntity(entity);
+        delete this._sortedLayers[entity.layer];
+    }
+
+    /**
+     * adds an entity to the board, registering it in the spatial index of the grid if it can collide with the player
+     * @param {Entity} entity the entity to add
+     */
+    addEntity(entity) {
+        this.nonPlayerEntities.push(entity);
+        if (entity.collidable) this._grid.indexEntity(entity);
+        delete this._sortedLayers[entity.layer];
+    }
+
+    /**
+     * spawns an enemy of the kind of the specified lane on the board (just outside the board) in the lane, 
+     * with a randomly selected speed within the range of the lane
+     * @param {BoardGridLane} lane the lane to spawn the enemy in
+     * @returns {Enemy} the spawned enemy
+     */
+    spawnEnemy(lane) {
+        const direction = lane.direction;
+        const cellRowIndex = lane.row;
         const cellColumnIndex = direction === 1 ? 0 : this._grid.numberOfColumns-1;
-        //create an enemy with a random speed within the range specified by this.enemyIncrementRange
-        const enemy = new Enemy({board: this, 
-                               hitScoreIncrement: -2,
-                               removeOnHit: false,
-                               moveIncrement: {x: randBetween(direction * this.enemyIncrementRange.min, direction * this.enemyIncrementRange.max), y: 0}});
-        //place in randomly selected first column road cell 
+        //create an enemy with a random speed within the range specified by the lane, and the penalty of its kind
+        const incrementRange = lane.enemyIncrementRange;
+        const EnemyClass = lane.enemyClass;
+        const param = {board: this,
+                       hitScoreIncrement: this.scoring[this.enemyScoreRule(EnemyClass)],
+                       removeOnHit: false,
+                       moveIncrement: {x: direction * this.random.between(incrementRange.min, incrementRange.max), y: 0}};
+        //each racer starts at a random time into its cycle of speeding up and slowing down, so they do not surge in step
+        if (EnemyClass === Racer) param.surgeTime = this.random.next() * Racer.surgePeriod;
+        const enemy = new EnemyClass(param);
+        //place in the first cell of the lane seen in its direction
         enemy.moveToCell(cellRowIndex, cellColumnIndex);
         //move enemy just visually outside the board to give the impression that its moving into the board from outside
         if(direction === 1) {
@@ -1110,10 +3590,39 @@ class Board {
             enemy.position = enemy.position.offset((enemy.area.width - (enemy.area.topLeft.x - enemy.occupiedArea.topLeft.x)), 0);
         }
         
+        //the enemy appears at its spawn position, rather than sliding there from where it was created
+        enemy.storePreviousPosition();
         //add to enemies collection
-        this.nonPlayerEntities.push(enemy);
+        this.addEntity(enemy);
+        return enemy;
     }    
     
+    /**
+     * spawns a platform of the kind of a lane just outside the board, at the edge the platforms of the lane float in from
+     * @param {BoardGridPlatformLane} lane the lane to spawn the platform in
+     * @returns {Platform} the spawned platform
+     */
+    spawnPlatform(lane) {
+        const moveIncrement = {x: lane.direction * lane.speed, y: 0};
+        let platform;
+        if (lane.kind === "turtle") {
+            //each group of turtles starts at a random time into the dive cycle, so they do not all dive at once
+            const diveTime = lane.dive ? this.random.next() * (lane.dive.surfaced + lane.dive.submerged) : 0;
+            platform = new Turtles({board: this, length: lane.length, moveIncrement: moveIncrement, dive: lane.dive, diveTime: diveTime});
+        } else {
+            platform = new Log({board: this, length: lane.length, moveIncrement: moveIncrement});
+        }
+        const rowPosition = this._grid.calculateCellPosition(lane.row, 0);
+        const gridArea = this._grid.occupiedArea;
+        const occupiedArea = platform.occupiedArea;
+        const x = lane.direction === 1 ? gridArea.topLeft.x - occupiedArea.width : gridArea.topRight.x;
+        platform.position = new Point(x - (occupiedArea.topLeft.x - platform.position.x), rowPosition.y);
+        //the platform appears at its spawn position, rather than sliding there from where it was created
+        platform.storePreviousPosition();
+        this.addEntity(platform);
+        return platform;
+    }
+
     /**
      * @returns {GridPosition} returns the default player start position in the board grid based on the size of the board grid
      */
@@ -1123,65 +3632,295 @@ class Board {
 
     /**
      * renders the player score on predefined area in the top left of the game area just above the occupied area of the first row of cells
+     * @param {CanvasRenderer|NullRenderer} renderer the renderer to draw with, e.g. that of the HUD layer
+     */
+    renderScore(renderer = this.renderer) {
+        renderer.drawText(`SCORE: ${this.player.score}`, 0, 40);
+    }
+
+    /**
+     * renders the level number and crossing progress on predefined area in the top center of the game area, between the score and lives
+     * @param {CanvasRenderer|NullRenderer} renderer the renderer to draw with, e.g. that of the HUD layer
+     */
+    renderLevel(renderer = this.renderer) {
+        renderer.drawText(`LEVEL ${this.level} - ${this.crossings}/${this.crossingsToComplete}`, this._grid.area.width / 2, 40, {align: "center"});
+    }
+
+    /**
+     * renders the number of lives the player has left on predefined area in the top right of the game area, opposite the score
+     * @param {CanvasRenderer|NullRenderer} renderer the renderer to draw with, e.g. that of the HUD layer
      */
-    renderScore() {
-        ctx.font = "30px arial";
-        ctx.fillStyle = "black";
-        ctx.fillText(`SCORE: ${this.player.score}`, 0, 40);
+    renderLives(renderer = this.renderer) {
+        renderer.drawText(`LIVES: ${this.player.lives}`, this._grid.area.width, 40, {align: "right"});
     }
     
     /**
-     * renders the board, entities, and the player score
+     * renders the active effects of power-ups with their remaining time in seconds, side by side along the bottom of the game area
+     * @param {CanvasRenderer|NullRenderer} renderer the renderer to draw with, e.g. that of the HUD layer
+     */
+    renderEffects(renderer = this.renderer) {
+        const width = 150;
+        const y = this._grid.area.height - 34;
+        this.effects.active.forEach((effect, index) => {
+            const text = `${PowerUp.kinds[effect.kind].label(effect.stacks)} ${Math.ceil(effect.remainingTime)}`;
+            renderer.fillRect(8 + index * (width + 8), y, width, 28, "rgba(0, 0, 0, 0.6)");
+            renderer.drawText(text, 8 + index * (width + 8) + width / 2, y + 21, {font: "bold 18px arial", color: "white", align: "center"});
+        });
+    }
+
+    /**
+     * renders the time left on the crossing timer, and the combo of diamonds if one has been started, side by side in the bottom right of the game area
+     * @param {CanvasRenderer|NullRenderer} renderer the renderer to draw with, e.g. that of the HUD layer
+     */
+    renderTimer(renderer = this.renderer) {
+        const width = 150;
+        const y = this._grid.area.height - 34;
+        const texts = [`TIME ${Math.ceil(this.scoreKeeper.remainingTime)}`];
+        if (this.scoreKeeper.combo) texts.unshift(`COMBO x${this.scoreKeeper.comboMultiplier}`);
+        texts.forEach((text, index) => {
+            const x = this._grid.area.width - (texts.length - index) * (width + 8);
+            renderer.fillRect(x, y, width, 28, "rgba(0, 0, 0, 0.6)");
+            renderer.drawText(text, x + width / 2, y + 21, {font: "bold 18px arial", color: "white", align: "center"});
+        });
+    }
+
+    /**
+     * @returns {string[]} the names of the render layers of the board, from the back to the front:
+     *      the background tiles of the grid, decals lying on them, e.g. blood, the actors and props,
+     *      and the HUD showing score, level, lives, the timers of active effects, the crossing timer and the diamond combo
+     */
+    static get layers() {
+        return ["background", "decals", "actors", "hud"];
+    }
+
+    /**
+     * gets the entities drawn on a render layer, sorting them by zIndex if the contents of the layer have changed
+     * @param {string} name the name of the layer
+     * @returns {Entity[]} the entities of the layer, from the back to the front
+     * @private
+     */
+    _layerEntities(name) {
+        if (!this._sortedLayers[name]) {
+            this._sortedLayers[name] = [...this.nonPlayerEntities, this.player].filter(entity => entity.layer === name).sort((a, b) => a.zIndex - b.zIndex);
+        }
+        return this._sortedLayers[name];
+    }
+
+    /**
+     * renders the board, entities, the player score, level, lives and active effects, each on its render layer.
+     * the background and the HUD are only redrawn when their content changes.
+     * @param {number} alpha the fraction of the time between the previous and the next update that has passed,
+     *      moving entities are rendered this fraction of the way from their previous to their current position
      */
-    render() {
-        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-        [...this.nonPlayerEntities, this.player].sort((a,b) => (a.zIndex > b.zIndex ? 1 : -1)).forEach(e => e.render());
-        this.renderScore();
+    render(alpha = 1) {
+        //the cells never change, so the background only needs drawing if it holds something else, e.g. the cells of the previous board
+        const background = this.renderer.layer("background");
+        if (background.cacheKey !== this) {
+            background.clear();
+            this._layerEntities("background").forEach(entity => entity.render(alpha, background));
+            background.cacheKey = this;
+        }
+        ["decals", "actors"].forEach(name => {
+            const layer = this.renderer.layer(name);
+            layer.clear();
+            this._layerEntities(name).forEach(entity => entity.render(alpha, layer));
+        });
+        const hud = this.renderer.layer("hud");
+        //the timers of the effects are shown in whole seconds, so the HUD is only redrawn when they tick
+        const effectsContent = this.effects.active.map(effect => `${effect.kind}${effect.stacks}:${Math.ceil(effect.remainingTime)}`).join(",");
+        const timerContent = `${Math.ceil(this.scoreKeeper.remainingTime)}|${this.scoreKeeper.combo}`;
+        const hudContent = `${this.player.score}|${this.level}|${this.crossings}/${this.crossingsToComplete}|${this.player.lives}|${effectsContent}|${timerContent}`;
+        if (hud.cacheKey !== hudContent) {
+            hud.clear();
+            this.renderScore(hud);
+            this.renderLevel(hud);
+            this.renderLives(hud);
+            this.renderEffects(hud);
+            this.renderTimer(hud);
+            hud.cacheKey = hudContent;
+        }
+        this.renderer.clear();
+        this.renderer.composite(Board.layers);
     }
 
     /**
-     * updates player positions and checks for and manages interaction events between entities
+     * updates player positions and checks for and manages interaction events between entities.
+     * collisions are checked against the area the player occupies at its current position, 
+     * so enemies can hit the player in the middle of a hop.
      * @param {number} dt the delta time calculated for the computing environment
      */
     update(dt) {
-        //iterating backwards as we may be removing entities and hence altering the length of the array
+        //nothing moves once the game is over or the level is complete
+        if (this.isGameOver || this.isLevelComplete) return;
+        //the positions before the update are kept for rendering to interpolate from
+        this.player.storePreviousPosition();
+        this.nonPlayerEntities.forEach(entity => entity.storePreviousPosition());
+        this.player.update(dt);
+        //the player may have completed the level by landing on a cell, e.g. filling the last bay
+        if (this.isLevelComplete) return;
+        //power-ups slow down the time of enemies and platforms, or freeze the enemies
+        const platformDt = dt * this.timeScale;
+        const enemyDt = this.effects.isActive("freeze") ? 0 : platformDt;
+        this.effects.update(dt);
+        this.scoreKeeper.update(dt);
+        //spawn, move and remove enemies lane by lane, keeping the spatial index up to date with where they have moved
+        this._grid.lanes.forEach(lane => {
+            lane.update(enemyDt);
+            lane.enemies.forEach(enemy => this._grid.indexEntity(enemy));
+        });
+        this._grid.platformLanes.forEach(lane => lane.update(platformDt));
+        if (this._grid.goal) this._grid.goal.update(dt);
+        if (this._powerUps) this._powerUps.update(dt);
+        if (this._diamondRespawns.length) this._updateDiamondRespawns(dt);
+        //on a river row the player is carried along by the platform it stands on, and drowns without one or when carried off the board
+        //a hop onto or along a river row lands on the spot of the platform it was aimed at, which has floated on since the hop started
+        const platformLane = this._grid.getPlatformLane(this.player.gridPosition.row);
+        if (platformLane && this.player.isMoving) {
+            const landingX = this.player.landingArea.center.x;
+            //the platform has already moved in this update, so it is found by where it was before
+            const platform = platformLane.platforms.find(platform => platform.spans(landingX + platform.lastMove));
+            if (platform) this.player.shiftLanding(platform.lastMove);
+        } else if (platformLane) {
+            const platform = platformLane.platformUnder(this.player);
+            if (platform) this.player.ride(platform.lastMove);
+            if (!platform || !this._grid.hasCell(this.player.gridPosition.row, this.player.gridPosition.column)) {
+                this.drownPlayer();
+                if (this.isGameOver) return;
+            }
+        }
+        //iterating backwards as entities may remove themselves when their animation has ended
+        this.player.animate(dt);
         for (let index = this.nonPlayerEntities.length - 1; index >= 0; index--) {
-            let entity = this.nonPlayerEntities[index];
-            //take action for entities touching the player
-            if (this.player.touches(entity)) {
-                //increment player score by increment set on the touching entity
-                this.player.score += entity.hitScoreIncrement;
+            const entity = this.nonPlayerEntities[index];
+            entity.animate(entity instanceof Enemy ? enemyDt : dt);
+        }
+        //only the entities in the rows of the player can touch it, so the others are not checked.
+        //iterating backwards, so the most recently added entities are checked first
+        const nearbyEntities = this._grid.entitiesNear(this.player.occupiedArea);
+        for (let index = nearbyEntities.length - 1; index >= 0; index--) {
+            let entity = nearbyEntities[index];
+            //take action for entities touching the player, enemies cannot hit an invulnerable player
+            if (this.player.touches(entity) && !(entity instanceof Enemy && this.player.isInvulnerable)) {
+                //a shield takes the hit instead of the player, who cannot be hit again until the enemy has passed
+                if (entity instanceof Enemy && this.effects.consume("shield")) {
+                    this.player.invulnerableTime = this.invulnerabilityDuration;
+                    this.emit("shield");
+                    continue;
+                }
+                //increment player score by increment set on the touching entity, a diamond is worth more in a combo
+                if (entity instanceof Diamond) {
+                    this.addScore(entity.hitScoreIncrement, "diamond");
+                    this.addScore(this.scoreKeeper.chainDiamond(entity.hitScoreIncrement), "combo");
+                } else if (entity instanceof Enemy) {
+                    this.addScore(entity.hitScoreIncrement, this.enemyScoreRule(entity.constructor));
+                }
                 //remove entities set to be removed on touch with the player
                 if(entity.removeOnHit) {
-                    this.nonPlayerEntities.splice(index, 1);
+                    this.removeEntity(entity);
+                }
+                if(entity instanceof Diamond) {
+                    this.emit("diamond", entity.kind);
+                    if (this.diamondPlacement.respawnDelay !== null) this._diamondRespawns.push(this.diamondPlacement.respawnDelay);
+                }
+                if(entity instanceof PowerUp) {
+                    this.collectPowerUp(entity);
+                }
+                //the level is completed once the last diamond has been collected, unless collected diamonds come back
+                if(entity instanceof Diamond && this.diamondPlacement.respawnDelay === null && !this.nonPlayerEntities.some(e => e instanceof Diamond)) {
+                    this.completeLevel();
+                    return;
                 }
                 //kill the player on enemy contact
                 if(entity instanceof Enemy) {
                     //enemy direction determines blood sprite to use
-                    this.player.bleed(entity.moveIncrement.x);
-                    this.respawnPlayer(true);
+                    this.killPlayer(entity.moveIncrement.x);
+                    if (this.isGameOver) return;
                 } 
-                //respawn player on water contact. note that score increment is done in generalized fashion above
-                if(entity instanceof BoardGridCell && entity.type === "water") this.respawnPlayer(true);
-            }
-            //replace enemies that have moved outside the board with new ones
-            if(entity instanceof Enemy) {
-                entity.update(dt);
-                if(entity.respawnOnNextUpdate) {
-                    this.nonPlayerEntities.splice(index, 1);
-                    this.spawnEnemy();
-                }
             }
          }
     }
 }
 
 /**
- * returns a random integer within a specified range
- * @param {number} min the lower bound of the range of possible values
- * @param {number} max the upper bound of the range of possible values
- * @returns {number} a random integer within a specified range
+ * a seedable pseudo random number generator (mulberry32).
+ * two generators created with the same seed produce the exact same sequence of numbers,
+ * which makes games reproducible, e.g. for daily challenges, bug reproduction and deterministic tests.
  */
-function randBetween(min = 0, max = 1) {
-    return Math.floor(Math.random() * (max - min + 1) + min);
-}
\ No newline at end of file
+class Random {
+    /**
+     * @param {number} seed the 32-bit unsigned integer seed of the sequence, a random seed is used if not provided
+     */
+    constructor(seed = Random.randomSeed()) {
+        /**
+         * @description the seed of the sequence
+         * @type {number}
+         */
+        this.seed = seed >>> 0;
+        /**
+         * @description the internal state of the generator, advanced on each generated number
+         * @type {number}
+         * @private
+         */
+        this._state = this.seed;
+    }
+
+    /**
+     * @returns {number} the next number in the sequence, a float in the range [0, 1)
+     */
+    next() {
+        let t = this._state = (this._state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * returns the next number in the sequence as an integer within a specified range
+     * @param {number} min the lower bound of the range of possible values
+     * @param {number} max the upper bound of the range of possible values
+     * @returns {number} a random integer within a specified range, both bounds included
+     */
+    between(min = 0, max = 1) {
+        return Math.floor(this.next() * (max - min + 1) + min);
+    }
+
+    /**
+     * @returns {number} a random 32-bit unsigned integer usable as seed, for games that are not to be reproduced
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * hashes a string into a 32-bit unsigned integer seed (FNV-1a), e.g. to use a word or a date as seed
+     * @param {string} text the text to hash
+     * @returns {number} the seed
+     */
+    static hash(text) {
+        let hash = 0x811C9DC5;
+        for (let index = 0; index < text.length; index++) {
+            hash = Math.imul(hash ^ text.charCodeAt(index), 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * @param {Date} date the date of the daily challenge
+     * @returns {number} the seed shared by all games of the daily challenge of the date
+     */
+    static dailySeed(date = new Date()) {
+        return Random.hash(`daily:${date.toISOString().slice(0, 10)}`);
+    }
+
+    /**
+     * converts a seed provided by a user, e.g. in the url, into a seed. 
+     * integers are used as they are, "daily" is the seed of today's daily challenge, and any other text is hashed.
+     * @param {string} text the seed provided by the user
+     * @returns {number} the seed
+     */
+    static parseSeed(text) {
+        if (/^\d+$/.test(text)) return Number(text) >>> 0;
+        if (text === "daily") return Random.dailySeed();
+        return Random.hash(text);
+    }
+}
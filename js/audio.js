@@ -0,0 +1,312 @@
+/* audio.js
+ * This file provides the audio subsystem, which preloads the sounds of the game and plays sound effects and looping music,
+ * the sounds being listed in the asset manifest and loaded through Resources like the images (see resources.js).
+ * Sounds are played with the Web Audio API, mixing the music and the sound effects through separate volume controls
+ * into a master volume. Where the Web Audio API is missing, or a sound cannot be decoded with it, e.g. when the game is opened
+ * from the file system, the sound is played with an HTML audio element instead, and where neither is available nothing is played.
+ *
+ * Browsers block audio until the player has interacted with the page, so unlock() must be called from an input event handler,
+ * e.g. the first key press. Music started before that begins playing as soon as the audio is unlocked.
+ */
+
+"use strict";
+
+/**
+ * loads and plays the sound effects and music of the game
+ */
+class AudioManager {
+    /**
+     * @param {Object} param
+     * @param {Window} param.win the window providing the audio APIs, nothing is played if not provided
+     * @param {number} param.masterVolume the volume of all sounds, from 0 to 1
+     * @param {number} param.musicVolume the volume of the music relative to the master volume, from 0 to 1
+     * @param {number} param.effectsVolume the volume of the sound effects relative to the master volume, from 0 to 1
+     */
+    constructor({win = null, masterVolume = 1, musicVolume = 0.5, effectsVolume = 1} = {}) {
+        /**
+         * @description the window providing the audio APIs
+         * @type {Window}
+         * @private
+         */
+        this._win = win;
+        /**
+         * @description the loaded sounds by name, holding a decoded buffer or an audio element to play them with
+         * @type {Map.<string, {buffer: AudioBuffer, element: HTMLAudioElement}>}
+         * @private
+         */
+        this._sounds = new Map();
+        /**
+         * @description the volumes of the channels, from 0 to 1
+         * @type {{master: number, music: number, effects: number}}
+         * @private
+         */
+        this._volumes = {master: masterVolume, music: musicVolume, effects: effectsVolume};
+        /**
+         * @description true if all sounds are silenced, regardless of the volumes
+         * @type {boolean}
+         * @private
+         */
+        this._muted = false;
+        /**
+         * @description the name of the music playing, or waiting for the audio to be unlocked, null if no music is playing
+         * @type {string}
+         * @private
+         */
+        this._musicName = null;
+        /**
+         * @description the node or element currently playing the music
+         * @type {AudioBufferSourceNode|HTMLAudioElement}
+         * @private
+         */
+        this._musicPlayer = null;
+        /**
+         * @description the audio context mixing the sounds, null if the Web Audio API is not available
+         * @type {AudioContext}
+         * @private
+         */
+        this._context = null;
+        const AudioContextClass = win && (win.AudioContext || win.webkitAudioContext);
+        if (AudioContextClass) {
+            try {
+                this._context = new AudioContextClass();
+                this._gains = {master: this._context.createGain(), music: this._context.createGain(), effects: this._context.createGain()};
+                this._gains.music.connect(this._gains.master);
+                this._gains.effects.connect(this._gains.master);
+                this._gains.master.connect(this._context.destination);
+            } catch (error) {
+                console.warn(`the Web Audio API could not be used, falling back to audio elements: ${error.message}`);
+                this._context = null;
+            }
+        }
+        this._applyVolumes();
+    }
+
+    /**
+     * @returns {boolean} true if sounds can be played at all, with the Web Audio API or with audio elements
+     */
+    get isSupported() {
+        return this._context !== null || Boolean(this._win && this._win.Audio);
+    }
+
+    /**
+     * loads sounds, so they can be played without delay
+     * @param {Object.<string, string>} urls the urls of the sound files by the name they are played by
+     * @returns {Promise} a promise resolved when all sounds have been loaded, sounds that fail to load are skipped with a warning
+     */
+    load(urls) {
+        return Promise.all(Object.entries(urls).map(([name, url]) => this.loadSound(name, url)
+            .catch(error => console.warn(`the sound '${url}' could not be loaded: ${error.message}`))));
+    }
+
+    /**
+     * loads a sound, so it can be played without delay
+     * @param {string} name the name the sound is played by
+     * @param {string} url the url of the sound file
+     * @returns {Promise.<{buffer: AudioBuffer, element: HTMLAudioElement}>} a promise resolved with the loaded sound,
+     *      and rejected if the sound cannot be loaded
+     */
+    loadSound(name, url) {
+        return this._load(url).then(sound => {
+            this._sounds.set(name, sound);
+            //music started before it had been loaded starts now
+            if (this._musicName === name && !this._musicPlayer) this.playMusic(name);
+            return sound;
+        });
+    }
+
+    /**
+     * @param {string} name the name of a sound
+     * @returns {boolean} true if the sound has been loaded
+     */
+    has(name) {
+        return this._sounds.has(name);
+    }
+
+    /**
+     * resumes the audio if the browser has blocked it until the player interacts with the page.
+     * must be called from an input event handler, e.g. of a key press or a touch
+     */
+    unlock() {
+        if (this._context && this._context.state === "suspended") {
+            this._context.resume().catch(() => {});
+        }
+        //music played with an audio element is rejected rather than delayed while blocked, so it is started again
+        if (this._musicPlayer && !this._musicPlayer.stop && this._musicPlayer.paused) {
+            this._playElement(this._musicPlayer);
+        }
+    }
+
+    /**
+     * plays a sound effect once, effects can overlap each other
+     * @param {string} name the name of the sound
+     */
+    play(name) {
+        const sound = this._sounds.get(name);
+        if (!sound) return;
+        if (sound.buffer) {
+            const source = this._context.createBufferSource();
+            source.buffer = sound.buffer;
+            source.connect(this._gains.effects);
+            source.start();
+        } else {
+            const element = sound.element.cloneNode();
+            element.volume = this._elementVolume("effects");
+            this._playElement(element);
+        }
+    }
+
+    /**
+     * loops a sound as music, replacing the music playing.
+     * the music starts when it has been loaded and the audio has been unlocked, if it has not been yet
+     * @param {string} name the name of the sound
+     */
+    playMusic(name) {
+        if (this._musicName === name && this._musicPlayer) return;
+        this.stopMusic();
+        this._musicName = name;
+        const sound = this._sounds.get(name);
+        if (!sound) return;
+        if (sound.buffer) {
+            const source = this._context.createBufferSource();
+            source.buffer = sound.buffer;
+            source.loop = true;
+            source.connect(this._gains.music);
+            //a suspended context starts the music when it is resumed
+            source.start();
+            this._musicPlayer = source;
+        } else {
+            const element = sound.element.cloneNode();
+            element.loop = true;
+            element.volume = this._elementVolume("music");
+            this._musicPlayer = element;
+            this._playElement(element);
+        }
+    }
+
+    /**
+     * stops the music playing
+     */
+    stopMusic() {
+        if (this._musicPlayer) {
+            if (this._musicPlayer.stop) this._musicPlayer.stop();
+            else this._musicPlayer.pause();
+        }
+        this._musicPlayer = null;
+        this._musicName = null;
+    }
+
+    /**
+     * @param {string} channel the volume channel, "master", "music" or "effects"
+     * @returns {number} the volume of the channel, from 0 to 1
+     */
+    volume(channel) {
+        if (!(channel in this._volumes)) throw new Error(`unknown volume channel '${channel}'`);
+        return this._volumes[channel];
+    }
+
+    /**
+     * changes the volume of a channel
+     * @param {string} channel the volume channel, "master", "music" or "effects"
+     * @param {number} volume the volume, from 0 to 1
+     */
+    setVolume(channel, volume) {
+        if (!(channel in this._volumes)) throw new Error(`unknown volume channel '${channel}'`);
+        if (!(volume >= 0 && volume <= 1)) throw new Error("the volume must be from 0 to 1");
+        this._volumes[channel] = volume;
+        this._applyVolumes();
+    }
+
+    /**
+     * @returns {boolean} true if all sounds are silenced
+     */
+    get isMuted() {
+        return this._muted;
+    }
+
+    /**
+     * silences or unsilences all sounds, keeping the volumes
+     * @param {boolean} muted true to silence all sounds
+     */
+    setMuted(muted) {
+        this._muted = muted;
+        this._applyVolumes();
+    }
+
+    /**
+     * silences all sounds if they are not silenced, and unsilences them otherwise
+     * @returns {boolean} true if the sounds are silenced now
+     */
+    toggleMute() {
+        this.setMuted(!this._muted);
+        return this._muted;
+    }
+
+    /**
+     * loads a sound, decoding it for the Web Audio API if possible, and falling back to an audio element otherwise
+     * @param {string} url the url of the sound file
+     * @returns {Promise.<{buffer: AudioBuffer, element: HTMLAudioElement}>} a promise resolved with the loaded sound
+     * @private
+     */
+    _load(url) {
+        if (!this._context) return this._loadElement(url);
+        return this._win.fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`the server responded with status ${response.status}`);
+                return response.arrayBuffer();
+            })
+            .then(data => this._context.decodeAudioData(data))
+            .then(buffer => ({buffer: buffer, element: null}))
+            //e.g. fetching files is not allowed when the game is opened from the file system
+            .catch(() => this._loadElement(url));
+    }
+
+    /**
+     * loads a sound into an audio element
+     * @param {string} url the url of the sound file
+     * @returns {Promise.<{buffer: AudioBuffer, element: HTMLAudioElement}>} a promise resolved with the loaded sound
+     * @private
+     */
+    _loadElement(url) {
+        if (!this._win || !this._win.Audio) return Promise.reject(new Error("audio is not supported"));
+        return new Promise((resolve, reject) => {
+            const element = new this._win.Audio();
+            element.preload = "auto";
+            element.addEventListener("canplaythrough", () => resolve({buffer: null, element: element}), {once: true});
+            element.addEventListener("error", () => reject(new Error("the file could not be loaded or decoded")), {once: true});
+            element.src = url;
+            element.load();
+        });
+    }
+
+    /**
+     * starts playing an audio element, ignoring the rejection while the browser blocks audio
+     * @param {HTMLAudioElement} element the audio element
+     * @private
+     */
+    _playElement(element) {
+        const playing = element.play();
+        if (playing) playing.catch(() => {});
+    }
+
+    /**
+     * @param {string} channel the volume channel, "music" or "effects"
+     * @returns {number} the volume an audio element playing on the channel is set to
+     * @private
+     */
+    _elementVolume(channel) {
+        return this._muted ? 0 : this._volumes.master * this._volumes[channel];
+    }
+
+    /**
+     * sets the volumes of the gain nodes and of the music element to the volumes of the channels
+     * @private
+     */
+    _applyVolumes() {
+        if (this._context) {
+            this._gains.master.gain.value = this._muted ? 0 : this._volumes.master;
+            this._gains.music.gain.value = this._volumes.music;
+            this._gains.effects.gain.value = this._volumes.effects;
+        }
+        if (this._musicPlayer && !this._musicPlayer.stop) this._musicPlayer.volume = this._elementVolume("music");
+    }
+}
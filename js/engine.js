@@ -9,8 +9,9 @@
  * drawn but that is not the case. What's really happening is the entire "scene"
  * is being drawn over and over, presenting the illusion of animation.
  *
- * This engine makes the canvas' context (ctx) object globally available to make
- * writing app.js a little simpler to work with.
+ * The updating in fixed time steps is done by the game loop in loop.js, and all
+ * drawing is done through a renderer wrapping the canvas' context (ctx) object,
+ * so the classes in app.js never touch the canvas themselves.
  */
 
 var Engine = (function(global) {
@@ -22,33 +23,67 @@ var Engine = (function(global) {
         win = global.window,
         canvas = doc.createElement('canvas'),
         ctx = canvas.getContext('2d'),
-        lastTime;
+        renderer = new CanvasRenderer(ctx),
+        container = doc.createElement('div'),
+        scaler = new CanvasScaler({canvas: canvas, container: container, renderer: renderer, win: win}),
+        audio,
+        input,
+        loop;
 
-    let board = null;
+    //set game variables
+    //the board configuration of each level is set in levels.js
+    //changing these variables can change the game feel and difficulty significantly
+    //the number of lives the player starts with
+    const numberOfLives = 3;
+    //the time in seconds the player cannot be hit after being respawned
+    const invulnerabilityDuration = 2;
+    //the time in seconds the player takes to hop from one cell to the next, 0 moves the player instantly
+    const playerMoveDuration = 0.12;
+    //the easing function shaping the hops of the player, one of the functions in Easing in app.js
+    const playerMoveEasing = Easing.easeOutQuad;
+    //the seed all games are played with, set by the "seed" url parameter, e.g. index.html?seed=42 or index.html?seed=daily
+    //without it every game is played with a new random seed
+    const seedParameter = new URLSearchParams(win.location.search).get("seed");
+    const seed = seedParameter ? Random.parseSeed(seedParameter) : null;
+    //the input commands bound to keys, by physical key (e.code, e.g. "KeyW") or by character (e.key, e.g. "w")
+    //the default binds the arrow keys and WASD for moving, enter/space to start, P/escape to pause, R to watch and E to export a replay,
+    //and M to mute the sound
+    const keyBindings = InputManager.defaultBindings;
+    //the time in seconds a movement key must be held before the movement is repeated
+    const repeatDelay = 0.25;
+    //the number of times per second a movement is repeated while its key is held, 0 disables repeating
+    const repeatRate = 8;
+    //the volume of all sounds, and the volumes of the music and the sound effects relative to it, from 0 to 1
+    const masterVolume = 1;
+    const musicVolume = 0.4;
+    const effectsVolume = 0.8;
+
+    //the number of times an asset that fails to load is tried again before it is reported as failed
+    const assetRetries = 2;
+    //the time in seconds an asset is given to load, after which it is tried again as if it had failed
+    const assetTimeout = 10;
+    //the size in board pixels of the loading screen, shown before the board of the first level has been created
+    const loadingScreenWidth = 505;
+    const loadingScreenHeight = 606;
+
+    //the levels played in order, the levels in levels.js followed by the levels loaded from the asset manifest
+    let levels = LEVELS;
+    //the entity visual applying to all cells, created on init when the images have been loaded
+    let cellVisualTemplate = null;
+    //the state machine managing the game states and the board of the current game
+    let game = null;
 
     /* This function serves as the kickoff point for the game loop itself
      * and handles properly calling the update and render methods.
      */
     function main() {
-        /* Get our time delta information which is required if your game
-         * requires smooth animation. Because everyone's computer processes
-         * instructions at different speeds we need a constant value that
-         * would be the same for everyone (regardless of how fast their
-         * computer is) - hurray time!
-         */
-        var now = Date.now(),
-            dt = (now - lastTime) / 1000.0;
-
-        /* Call our update/render functions, pass along the time delta to
-         * our update function since it may be used for smooth animation.
+        /* Let the game loop update the game in fixed time steps for the time
+         * that has passed since the previous frame, and render it. Because
+         * everyone's computer processes instructions at different speeds, and
+         * a browser tab in the background is given very few frames, the time
+         * between two frames varies a lot, which the fixed time steps even out.
          */
-        board.update(dt)
-        board.render();
-
-        /* Set our lastTime variable which is used to determine the time delta
-         * for the next time this function is called.
-         */
-        lastTime = now;
+        loop.tick();
 
         /* Use the browser's requestAnimationFrame function to call this
          * function again as soon as the browser is able to draw another frame.
@@ -57,94 +92,214 @@ var Engine = (function(global) {
     }
 
     /* This function does some initial setup that should only occur once,
-     * particularly setting the lastTime variable that is required for the
-     * game loop.
+     * particularly creating the game loop reading the time of the browser.
      */
     function init() {
-        //set game variables
-        //changing these variables can change the game feel and difficulty significantly
-        //the number of columns in the board grid
-        const numberOfColumns = 9;
-        //the rows represented by their type ("water", "road" or "grass")
-        //for best result the first row type should be "water", and preferably the last one "grass"
-        const rowTypes = ["water", "road", "road", "road", "road", "road", "road", "grass", "grass"];
-        //the number of enemies on the table at all times
-        const numberOfEnemies = 15;
-        //the number of diamonds placed on the table
-        const numberOfDiamonds = 3;
-        //the enemy speed range - 500 is very fast
-        const enemyIncrementRange = { min: 50, max: 500 };
-        
         //these variables are tied to the visual files - do not change
         const cellVisualTemplateSprite = "images/road.png";
         const cellVisualTemplateImage = Resources.get(cellVisualTemplateSprite);
         const cellVisualTemplateDimensions = new Dimensions(cellVisualTemplateImage.width, cellVisualTemplateImage.height);
         const cellVisualTemplateOccupiedArea = new Area(new Point(0, 52), new Dimensions(101, 83));
-        const cellVisualTemplate = new EntityVisual({sprite: cellVisualTemplateSprite, 
-                                                     dimensions: cellVisualTemplateDimensions, 
-                                                     occupiedArea: cellVisualTemplateOccupiedArea});
+        cellVisualTemplate = new EntityVisual({sprite: cellVisualTemplateSprite, 
+                                               dimensions: cellVisualTemplateDimensions, 
+                                               occupiedArea: cellVisualTemplateOccupiedArea});
         
-        //instantiating the board, which holds the game state and controls all game interaction
-        board = new Board({
-            numberOfColumns: numberOfColumns,
-            rowTypes: rowTypes,
-            numberOfEnemies: numberOfEnemies,
-            numberOfDiamonds: numberOfDiamonds,
-            enemyIncrementRange: enemyIncrementRange,
-            cellVisualTemplate: cellVisualTemplate
+        //instantiating the state machine, which holds the board and switches between title screen, playing, game over etc.
+        game = new GameStateMachine({
+            createBoard: reset,
+            numberOfLevels: levels.length,
+            seed: seed,
+            saveReplay: replay => download(`replay-${replay.seed}.json`, JSON.stringify(replay)),
+            highScores: new HighScoreTable({storage: highScoreStorage()}),
+            saveHighScores: highScores => download("high-scores.json", highScores.export())
         });
+        //associate the input from keyboard, gamepads and touch screens with the active game state
+        input = new InputManager({
+            doc: doc,
+            navigator: win.navigator,
+            onCommand: command => {
+                //the browser only allows audio to start in response to the player's input
+                audio.unlock();
+                //muting is not a game input, so it is neither handled by the game states nor recorded in replays
+                if (command === "mute") audio.toggleMute();
+                else game.handleInput(command);
+            },
+            bindings: keyBindings,
+            repeatDelay: repeatDelay,
+            repeatRate: repeatRate,
+            mapPoint: (x, y) => scaler.toBoardPoint(x, y)
+        });
+        input.listen(canvas);
+        const buttons = doc.createElement("div");
+        buttons.className = "input-buttons";
+        input.createButtons(buttons);
+        doc.body.appendChild(buttons);
 
-        //set canvas dimensions dynamically based on the specified board size
-        canvas.width = numberOfColumns * cellVisualTemplateDimensions.width;
-        canvas.height = (rowTypes.length - 1) * cellVisualTemplateOccupiedArea.height + cellVisualTemplateDimensions.height;
-        doc.body.appendChild(canvas);
-
-        //associate the input event listener with the player object
-        doc.addEventListener("keyup", function (e) {
-            var allowedKeys = {
-                37: "left",
-                38: "up",
-                39: "right",
-                40: "down"
-            };
-
-            board.player.moveInGrid(allowedKeys[e.keyCode]);
+        //play back a replay file, or import a high-score file, dropped on the page
+        doc.addEventListener("dragover", function (e) {
+            e.preventDefault();
+        });
+        doc.addEventListener("drop", function (e) {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (!file) return;
+            file.text()
+                .then(text => {
+                    const data = JSON.parse(text);
+                    if (data.entries) {
+                        game.highScores.import(data);
+                    } else {
+                        game.playReplay(Replay.parse(data));
+                    }
+                })
+                .catch(error => console.error(`the dropped file is neither a valid replay nor valid high scores: ${error.message}`));
+        });
+        //pause the game when the window loses focus
+        win.addEventListener("blur", function () {
+            input.releaseAll();
+            game.pause();
         });
         
-        reset();
-        lastTime = Date.now();
+        //the title screen is rendered on top of a freshly created board
+        game.reset();
+        game.changeState("title");
+        audio.playMusic("music");
+        loop = new GameLoop({
+            clock: new PerformanceClock(),
+            update: dt => {
+                input.update(dt);
+                game.update(dt);
+            },
+            render: alpha => game.render(alpha)
+        });
         main();
     }
 
-    /* This function does nothing but it could have been a good place to
-     * handle game reset states - maybe a new game menu or a game over screen
-     * those sorts of things. It's only called once by the init() method.
+    /* This function creates a new board in its initial state for the level at
+     * the provided index in the table of levels, using the provided random number
+     * generator. It is called by the state machine whenever a level is started,
+     * e.g. from the title screen, after a game over or when a level has been
+     * completed.
      */
-    function reset() {
-        // noop
+    function reset(levelIndex, random) {
+        //instantiating the board, which holds the board state and controls all board interaction
+        const board = LevelLoader.createBoard(levels[levelIndex], {
+            cellVisualTemplate: cellVisualTemplate,
+            levelNumber: levelIndex + 1,
+            numberOfLives: numberOfLives,
+            invulnerabilityDuration: invulnerabilityDuration,
+            playerMoveDuration: playerMoveDuration,
+            playerMoveEasing: playerMoveEasing,
+            random: random,
+            renderer: renderer
+        });
+
+        //play the sound effects of the events on the board
+        board.on("hop", () => audio.play("hop"));
+        board.on("diamond", () => audio.play("diamond"));
+        board.on("hit", () => audio.play("collision"));
+        board.on("crossing", () => audio.play("water"));
+        board.on("drown", () => audio.play("water"));
+        board.on("bonus", () => audio.play("diamond"));
+        board.on("powerup", () => audio.play("diamond"));
+        board.on("shield", () => audio.play("collision"));
+
+        //set canvas dimensions dynamically based on the board size of the level, and scale it to the screen
+        renderer.resize(board.grid.area.width, board.grid.area.height);
+        scaler.fit();
+        return board;
     }
 
-    /* Go ahead and load all of the images we know we're going to need to
-     * draw our game level. Then set init as the callback method, so that when
-     * all of these images are properly loaded our game will start.
+    /* This function saves text as a file by downloading it, used to export
+     * replays and high scores, which can be imported by dropping the file on
+     * the page.
      */
-    Resources.load([
-        'images/road.png',
-        'images/water.png',
-        'images/grass.png',
-        'images/enemy-right.png',
-        'images/enemy-left.png',
-        'images/player.png',
-        'images/blood-left.png',
-        'images/blood-right.png',
-        'images/diamond.png'
-    ]);
-    Resources.onReady(init);
-
-    /* Assign the canvas' context object to the global variable (the window
-     * object when run in a browser) so that developers can use it more easily
-     * from within their app.js files.
+    function download(filename, text) {
+        const url = URL.createObjectURL(new Blob([text], {type: "application/json"}));
+        const link = doc.createElement("a");
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /* This function returns the localStorage of the browser, which keeps the
+     * high scores between page loads, or null if it is not available, e.g.
+     * when storage is disabled in the browser's privacy settings.
+     */
+    function highScoreStorage() {
+        try {
+            return win.localStorage;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /* This function loads the assets listed in the manifest in manifest.js,
+     * showing the progress on a loading screen, and starts the game when they
+     * have been loaded. If a required asset fails to load, the failed assets
+     * are listed on the loading screen and loading is retried on the next key
+     * press, click or touch.
+     */
+    function load() {
+        Resources.loadManifest(ASSET_MANIFEST, {retries: assetRetries, timeout: assetTimeout, onProgress: renderLoadingScreen})
+            .then(function (result) {
+                const failed = result.failed.filter(failure => !failure.entry.optional);
+                if (failed.length > 0) {
+                    renderLoadingScreen(null, failed);
+                    const retry = function () {
+                        ["keydown", "pointerdown"].forEach(type => doc.removeEventListener(type, retry));
+                        load();
+                    };
+                    ["keydown", "pointerdown"].forEach(type => doc.addEventListener(type, retry));
+                    return;
+                }
+                levels = LEVELS.concat(ASSET_MANIFEST.filter(entry => entry.type === "level" && result.loaded.includes(entry))
+                                                     .map(entry => Resources.get(entry.url)));
+                init();
+            });
+    }
+
+    /* This function draws the loading screen, showing either the progress of
+     * loading the assets or the assets that have failed to load.
+     */
+    function renderLoadingScreen(progress, failed = []) {
+        const center = renderer.width / 2;
+        renderer.clear();
+        renderer.fillRect(0, 0, renderer.width, renderer.height, "black");
+        if (failed.length > 0) {
+            renderer.drawText("LOADING FAILED", center, 180, {font: "bold 40px arial", color: "white", align: "center"});
+            failed.slice(0, 8).forEach((failure, index) =>
+                renderer.drawText(failure.entry.url, center, 240 + index * 28, {font: "20px arial", color: "#f66", align: "center"}));
+            renderer.drawText("press any key or click to try again", center, 520, {font: "24px arial", color: "white", align: "center"});
+            return;
+        }
+        const barWidth = renderer.width - 100;
+        const fraction = progress.total > 0 ? (progress.loaded + progress.failed) / progress.total : 1;
+        renderer.drawText("LOADING", center, renderer.height / 2 - 40, {font: "bold 40px arial", color: "white", align: "center"});
+        renderer.fillRect(50, renderer.height / 2, barWidth, 20, "#444");
+        renderer.fillRect(50, renderer.height / 2, barWidth * fraction, 20, "white");
+        renderer.drawText(`${progress.loaded + progress.failed} / ${progress.total}`, center, renderer.height / 2 + 60,
+                          {font: "20px arial", color: "white", align: "center"});
+    }
+
+    /* Sounds and levels are loaded by the audio manager and the level loader,
+     * so their loaders are registered with Resources before anything is loaded.
+     */
+    audio = new AudioManager({win: win, masterVolume: masterVolume, musicVolume: musicVolume, effectsVolume: effectsVolume});
+    Resources.registerLoader("sound", entry => audio.loadSound(entry.name, entry.url));
+    Resources.registerLoader("level", entry => LevelLoader.load(entry.url));
+
+    /* The board is scaled to fill the container, which takes up the window,
+     * and drawn at the device pixel ratio. The loading screen is shown on it
+     * until all of the assets we know we're going to need have been loaded.
      */
-    global.ctx = ctx;
+    container.className = "game-container";
+    container.appendChild(canvas);
+    doc.body.appendChild(container);
+    scaler.listen();
+    renderer.resize(loadingScreenWidth, loadingScreenHeight);
+    scaler.fit();
+    load();
 })(this);
 
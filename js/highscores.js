@@ -0,0 +1,216 @@
+/* highscores.js
+ * This file provides the high-score table, keeping the best games played in the browser between page loads.
+ * The table is stored in the provided storage, e.g. localStorage, in the following versioned JSON format,
+ * which is also the format the table is exported and imported in:
+ *
+ *  {
+ *      "version": 1,
+ *      "entries": [                                //the best games, ordered from the highest score
+ *          {
+ *              "name": "ABC",                      //the name entered by the player
+ *              "score": 21,
+ *              "date": "2024-05-01T18:30:00.000Z", //when the game ended, as an ISO 8601 date
+ *              "seed": 1234567,                    //the seed the game was played with, so it can be replayed
+ *              "level": 4                          //the number of the level the game ended on
+ *          }
+ *      ],
+ *      "lastName": "ABC"                           //the name most recently entered, suggested for the next entry
+ *  }
+ */
+
+"use strict";
+
+/**
+ * an entry in the high-score table
+ * @typedef {Object} HighScore
+ * @property {string} name the name entered by the player
+ * @property {number} score the score of the game
+ * @property {string} date when the game ended, as an ISO 8601 date
+ * @property {number} seed the seed the game was played with
+ * @property {number} level the number of the level the game ended on
+ */
+
+/**
+ * the best games played, kept in a storage between page loads
+ */
+class HighScoreTable {
+    /**
+     * @param {Object} param
+     * @param {Storage} param.storage the storage to keep the table in, e.g. localStorage, the table is only kept in memory if not provided
+     * @param {string} param.key the key the table is stored under
+     * @param {number} param.capacity the number of entries kept in the table
+     */
+    constructor({storage = null, key = "crossTheRoad.highScores", capacity = 10} = {}) {
+        /**
+         * @description the storage the table is kept in
+         * @type {Storage}
+         * @private
+         */
+        this._storage = storage;
+        /**
+         * @description the key the table is stored under
+         * @type {string}
+         * @private
+         */
+        this._key = key;
+        /**
+         * @description the number of entries kept in the table
+         * @type {number}
+         */
+        this.capacity = capacity;
+        /**
+         * @description the entries of the table, ordered from the highest score
+         * @type {HighScore[]}
+         */
+        this.entries = [];
+        /**
+         * @description the name most recently entered
+         * @type {string}
+         */
+        this.lastName = "";
+        /**
+         * @description true if the stored table was written by a newer version of the game, and must not be overwritten
+         * @type {boolean}
+         * @private
+         */
+        this._readOnly = false;
+        this.load();
+    }
+
+    /**
+     * @returns {number} the version of the storage format written by this code
+     */
+    static get version() {
+        return 1;
+    }
+
+    /**
+     * reads the table from the storage, starting with an empty table if none is stored or the stored table cannot be read.
+     * a table stored by a newer version of the game is left untouched in the storage.
+     */
+    load() {
+        this.entries = [];
+        this.lastName = "";
+        this._readOnly = false;
+        if (!this._storage) return;
+        let data = null;
+        try {
+            data = JSON.parse(this._storage.getItem(this._key));
+        } catch (error) {
+            console.warn(`the stored high scores could not be read: ${error.message}`);
+        }
+        if (!data) return;
+        if (data.version > HighScoreTable.version) {
+            //saving would replace the table of the newer version, which this version does not know how to write
+            console.warn(`the stored high scores have version ${data.version}, which is newer than the supported version ${HighScoreTable.version}`);
+            this._readOnly = true;
+            return;
+        }
+        this._merge(HighScoreTable.parseEntries(data));
+        this.lastName = typeof data.lastName === "string" ? data.lastName : "";
+    }
+
+    /**
+     * writes the table to the storage
+     */
+    save() {
+        if (!this._storage || this._readOnly) return;
+        try {
+            this._storage.setItem(this._key, JSON.stringify(this));
+        } catch (error) {
+            //e.g. the storage is full or disabled
+            console.warn(`the high scores could not be saved: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {number} score the score of a game
+     * @returns {boolean} true if a game with the score would enter the table
+     */
+    qualifies(score) {
+        return this.entries.length < this.capacity || score > this.entries[this.entries.length - 1].score;
+    }
+
+    /**
+     * adds a game to the table if its score qualifies and saves the table
+     * @param {Object} param
+     * @param {string} param.name the name entered by the player
+     * @param {number} param.score the score of the game
+     * @param {number} param.seed the seed the game was played with
+     * @param {number} param.level the number of the level the game ended on
+     * @param {Date} param.date when the game ended
+     * @returns {number} the zero-based rank of the game in the table, -1 if the score did not qualify
+     */
+    add({name, score, seed, level, date = new Date()}) {
+        if (!this.qualifies(score)) return -1;
+        const entry = {name: name, score: score, date: date.toISOString(), seed: seed, level: level};
+        this._merge([entry]);
+        this.lastName = name;
+        this.save();
+        return this.entries.indexOf(entry);
+    }
+
+    /**
+     * removes all entries from the table and saves it
+     */
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+
+    /**
+     * @returns {Object} the table in the versioned JSON format, called by JSON.stringify
+     */
+    toJSON() {
+        return {version: HighScoreTable.version, entries: this.entries, lastName: this.lastName};
+    }
+
+    /**
+     * @returns {string} the table as JSON text, e.g. to be saved as a file
+     */
+    export() {
+        return JSON.stringify(this, null, 2);
+    }
+
+    /**
+     * merges the entries of an exported table into the table, keeping the best entries, and saves it
+     * @param {Object|string} json the exported table, either as JSON text or as an already parsed object
+     * @returns {number} the number of imported entries that entered the table
+     * @throws {Error} if the table is not valid JSON or does not conform to the JSON format
+     */
+    import(json) {
+        const data = typeof json === "string" ? JSON.parse(json) : json;
+        if (!data || typeof data !== "object") throw new Error("high scores must be an object");
+        if (data.version !== HighScoreTable.version) throw new Error(`high scores version ${data.version} is not supported, expected version ${HighScoreTable.version}`);
+        const imported = HighScoreTable.parseEntries(data).filter(entry =>
+            !this.entries.some(existing => existing.name === entry.name && existing.score === entry.score && existing.date === entry.date));
+        this._merge(imported);
+        this.save();
+        return imported.filter(entry => this.entries.includes(entry)).length;
+    }
+
+    /**
+     * checks the entries of a table in the JSON format, skipping invalid entries
+     * @param {Object} data the table in the JSON format
+     * @returns {HighScore[]} the valid entries
+     */
+    static parseEntries(data) {
+        if (!Array.isArray(data.entries)) return [];
+        return data.entries
+            .filter(entry => entry && typeof entry.name === "string" && Number.isFinite(entry.score) && !isNaN(Date.parse(entry.date)) &&
+                             Number.isInteger(entry.seed) && Number.isInteger(entry.level))
+            .map(entry => ({name: entry.name, score: entry.score, date: entry.date, seed: entry.seed, level: entry.level}));
+    }
+
+    /**
+     * adds entries to the table, keeping it ordered and within its capacity
+     * @param {HighScore[]} entries the entries to add
+     * @private
+     */
+    _merge(entries) {
+        //entries with the same score are ordered by date, so the earlier game keeps the higher rank
+        this.entries = this.entries.concat(entries)
+            .sort((a, b) => b.score - a.score || Date.parse(a.date) - Date.parse(b.date))
+            .slice(0, this.capacity);
+    }
+}
@@ -0,0 +1,298 @@
+/* input.js
+ * This file provides the input subsystem, which turns key presses, gamepad buttons, on-screen buttons and swipe gestures
+ * into the input commands the game states react to, e.g. "up" or "pause".
+ * Keys are bound to commands by the physical key (e.code, e.g. "KeyW") or by the character of the key (e.key, e.g. "w"),
+ * and can be rebound while the game is running. Movement commands are repeated while their key or button is held down.
+ */
+
+"use strict";
+
+/**
+ * maps input from the keyboard, gamepads and touch screens to input commands
+ */
+class InputManager {
+    /**
+     * @param {Object} param
+     * @param {Document} param.doc the document to listen for key presses on
+     * @param {Navigator} param.navigator the navigator to read gamepads from, gamepads are not supported if not provided
+     * @param {function(string)} param.onCommand the function the input commands are passed to
+     * @param {Object.<string, string>} param.bindings the commands bound to keys, by e.code or e.key
+     * @param {number} param.repeatDelay the time in seconds a movement key must be held before the movement is repeated
+     * @param {number} param.repeatRate the number of times per second a movement is repeated while its key is held
+     * @param {function(number, number): Point} param.mapPoint maps a point on the screen, e.g. of a touch, into board space,
+     *      so swipes are measured in board pixels however the board is scaled
+     */
+    constructor({doc, navigator = null, onCommand, bindings = InputManager.defaultBindings, repeatDelay = 0.25, repeatRate = 8,
+                 mapPoint = (x, y) => new Point(x, y)}) {
+        if (!doc) throw new Error("a document is required");
+        if (!onCommand) throw new Error("a command handler is required");
+        /**
+         * @description the document listened for key presses on
+         * @type {Document}
+         * @private
+         */
+        this._doc = doc;
+        /**
+         * @description the navigator read gamepads from
+         * @type {Navigator}
+         * @private
+         */
+        this._navigator = navigator;
+        /**
+         * @description the function the input commands are passed to
+         * @type {function(string)}
+         * @private
+         */
+        this._onCommand = onCommand;
+        /**
+         * @description the commands bound to keys, by e.code or e.key
+         * @type {Object.<string, string>}
+         * @private
+         */
+        this._bindings = Object.assign({}, bindings);
+        /**
+         * @description the time in seconds a movement key must be held before the movement is repeated
+         * @type {number}
+         */
+        this.repeatDelay = repeatDelay;
+        /**
+         * @description the number of times per second a movement is repeated while its key is held
+         * @type {number}
+         */
+        this.repeatRate = repeatRate;
+        /**
+         * @description maps a point on the screen into board space
+         * @type {function(number, number): Point}
+         * @private
+         */
+        this._mapPoint = mapPoint;
+        /**
+         * @description the keys and buttons currently held down by the name of their source, e.g. "KeyW" or "gamepad0:12",
+         *      with the command they issue and the time in seconds until it is repeated
+         * @type {Map.<string, {command: string, repeatTimer: number}>}
+         * @private
+         */
+        this._held = new Map();
+        /**
+         * @description the start of the touch currently on the screen in board space, used to detect swipes
+         * @type {Point}
+         * @private
+         */
+        this._touchStart = null;
+    }
+
+    /**
+     * @returns {Object.<string, string>} the default key bindings, the arrow keys and WASD for moving
+     */
+    static get defaultBindings() {
+        return {
+            ArrowLeft: "left",
+            ArrowUp: "up",
+            ArrowRight: "right",
+            ArrowDown: "down",
+            KeyA: "left",
+            KeyW: "up",
+            KeyD: "right",
+            KeyS: "down",
+            Enter: "start",
+            Space: "start",
+            Escape: "pause",
+            KeyP: "pause",
+            KeyR: "replay",
+            KeyE: "save",
+            KeyH: "exportScores",
+            KeyM: "mute"
+        };
+    }
+
+    /**
+     * @returns {Object.<number, string>} the commands issued by the buttons of a gamepad with the standard mapping, by button index
+     */
+    static get gamepadButtons() {
+        return {
+            0: "start",
+            9: "start",
+            8: "pause",
+            12: "up",
+            13: "down",
+            14: "left",
+            15: "right"
+        };
+    }
+
+    /**
+     * @returns {string[]} the commands that are repeated while their key or button is held down
+     */
+    static get repeatedCommands() {
+        return ["left", "up", "right", "down"];
+    }
+
+    /**
+     * @returns {Object.<string, string>} a copy of the commands bound to keys, by e.code or e.key
+     */
+    get bindings() {
+        return Object.assign({}, this._bindings);
+    }
+
+    /**
+     * binds a key to a command, replacing any command it was bound to
+     * @param {string} key the physical key (e.code, e.g. "KeyW") or the character of the key (e.key, e.g. "w")
+     * @param {string} command the input command to issue when the key is pressed
+     */
+    bind(key, command) {
+        this._bindings[key] = command;
+    }
+
+    /**
+     * removes the binding of a key
+     * @param {string} key the physical key (e.code) or the character of the key (e.key)
+     */
+    unbind(key) {
+        delete this._bindings[key];
+    }
+
+    /**
+     * finds the command bound to a key event, preferring the binding of the physical key over that of the character
+     * @param {KeyboardEvent} e the key event
+     * @returns {string} the command, undefined if the key is not bound
+     */
+    commandFor(e) {
+        return this._bindings[e.code] || this._bindings[e.key];
+    }
+
+    /**
+     * starts listening for key presses and swipes
+     * @param {HTMLElement} swipeArea the element swipe gestures are detected on, e.g. the canvas
+     */
+    listen(swipeArea) {
+        this._doc.addEventListener("keydown", e => {
+            //shortcuts of the browser and the system, e.g. ctrl+R or cmd+W, are left to them
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            const command = this.commandFor(e);
+            if (!command) return;
+            //prevent the arrow keys and space from scrolling the page
+            e.preventDefault();
+            //the browser's own key repeat is ignored, as repeating is done at the configured rate
+            if (!e.repeat) this.press(e.code || e.key, command);
+        });
+        this._doc.addEventListener("keyup", e => this.release(e.code || e.key));
+        if (swipeArea) {
+            swipeArea.addEventListener("touchstart", e => this._startSwipe(e), {passive: false});
+            swipeArea.addEventListener("touchend", e => this._endSwipe(e), {passive: false});
+        }
+    }
+
+    /**
+     * creates on-screen buttons issuing commands, for touch devices without a keyboard
+     * @param {HTMLElement} container the element to add the buttons to
+     * @param {{command: string, label: string}[]} buttons the buttons to create
+     */
+    createButtons(container, buttons = [{command: "left", label: "◀"}, {command: "up", label: "▲"}, {command: "down", label: "▼"},
+                                        {command: "right", label: "▶"}, {command: "start", label: "start"}, {command: "pause", label: "pause"}]) {
+        buttons.forEach(({command, label}) => {
+            const button = this._doc.createElement("button");
+            const source = `button:${command}`;
+            button.className = `input-button input-button-${command}`;
+            button.textContent = label;
+            button.addEventListener("pointerdown", e => {
+                e.preventDefault();
+                this.press(source, command);
+            });
+            ["pointerup", "pointerleave", "pointercancel"].forEach(type => button.addEventListener(type, () => this.release(source)));
+            container.appendChild(button);
+        });
+    }
+
+    /**
+     * issues the command of a key or button that has been pressed, and keeps repeating it while held if it is a movement
+     * @param {string} source the name of the key or button, e.g. "KeyW" or "gamepad0:12"
+     * @param {string} command the input command
+     */
+    press(source, command) {
+        if (this._held.has(source)) return;
+        this._held.set(source, {command: command, repeatTimer: this.repeatDelay});
+        this._onCommand(command);
+    }
+
+    /**
+     * stops repeating the command of a key or button that has been released
+     * @param {string} source the name of the key or button
+     */
+    release(source) {
+        this._held.delete(source);
+    }
+
+    /**
+     * releases all held keys and buttons, e.g. when the game window loses focus and key releases are missed
+     */
+    releaseAll() {
+        this._held.clear();
+    }
+
+    /**
+     * polls the gamepads and repeats the commands of held movement keys and buttons
+     * @param {number} dt the delta time calculated for the computing environment
+     */
+    update(dt) {
+        this._pollGamepads();
+        this._held.forEach(held => {
+            if (!InputManager.repeatedCommands.includes(held.command) || this.repeatRate <= 0) return;
+            held.repeatTimer -= dt;
+            while (held.repeatTimer <= 0) {
+                this._onCommand(held.command);
+                held.repeatTimer += 1 / this.repeatRate;
+            }
+        });
+    }
+
+    /**
+     * presses and releases the commands of the gamepad buttons that have changed since the previous poll
+     * @private
+     */
+    _pollGamepads() {
+        if (!this._navigator || !this._navigator.getGamepads) return;
+        Array.from(this._navigator.getGamepads()).forEach(gamepad => {
+            if (!gamepad) return;
+            Object.entries(InputManager.gamepadButtons).forEach(([index, command]) => {
+                const button = gamepad.buttons[index];
+                const source = `gamepad${gamepad.index}:${index}`;
+                if (button && button.pressed) this.press(source, command);
+                else this.release(source);
+            });
+        });
+    }
+
+    /**
+     * remembers where a touch started
+     * @param {TouchEvent} e the touch event
+     * @private
+     */
+    _startSwipe(e) {
+        const touch = e.changedTouches[0];
+        this._touchStart = this._mapPoint(touch.clientX, touch.clientY);
+        e.preventDefault();
+    }
+
+    /**
+     * issues the movement command in the direction of a swipe, or the start command if the touch was a tap
+     * @param {TouchEvent} e the touch event
+     * @private
+     */
+    _endSwipe(e) {
+        if (!this._touchStart) return;
+        const touch = this._mapPoint(e.changedTouches[0].clientX, e.changedTouches[0].clientY);
+        const dx = touch.x - this._touchStart.x;
+        const dy = touch.y - this._touchStart.y;
+        this._touchStart = null;
+        e.preventDefault();
+        //the minimum distance in board pixels a touch must move to be a swipe rather than a tap
+        const minimumSwipeDistance = 30;
+        if (Math.max(Math.abs(dx), Math.abs(dy)) < minimumSwipeDistance) {
+            this._onCommand("start");
+        } else if (Math.abs(dx) > Math.abs(dy)) {
+            this._onCommand(dx > 0 ? "right" : "left");
+        } else {
+            this._onCommand(dy > 0 ? "down" : "up");
+        }
+    }
+}
@@ -0,0 +1,615 @@
+/* levelloader.js
+ * This file provides the loader of levels described in the JSON level format.
+ * The loader validates a level description and reports any schema errors precisely,
+ * before turning the description into a Board.
+ *
+ * A level in the JSON level format looks like this:
+ * {
+ *     "columns": 9,
+ *     "rows": [
+ *         { "type": "water" },
+ *         { "type": "water", "platforms": { "kind": "log", "direction": "left", "speed": 60, "length": 3, "gap": { "min": 2, "max": 4 } } },
+ *         { "type": "grass" },
+ *         { "type": "road", "lane": { "direction": "right", "speed": { "min": 50, "max": 200 }, "spawnInterval": 3 } },
+ *         { "type": "grass" }
+ *     ],
+ *     "diamonds": { "count": 2 },
+ *     "scoring": { "water": 2, "diamond": 1, "enemy": -2, "drown": -2 },
+ *     "crossingTime": 30,
+ *     "maxCombo": 4,
+ *     "crossingsToComplete": 3
+ * }
+ * Instead of a water row, the first row can be a goal row of bays the player must fill, each once, e.g.
+ * { "type": "goal", "bays": 5, "bonus": { "interval": 8, "duration": 4 } }, where bonus items appear in empty bays every 8 seconds
+ * and stay for 4 seconds. A level with a goal row is complete when all bays are filled, so it has no "crossingsToComplete".
+ * Diamonds can be placed at fixed positions instead of randomly: "diamonds": { "positions": [{ "row": 1, "column": 4 }] }
+ * Diamonds placed randomly go on cells of types diamonds can be placed on, or with "cells": "walkable" on any other cell the player can start on too,
+ * at least "minDistance" cells away from the player counting rows and columns. Fixed positions keep the same distance from the start of the player.
+ * With "respawn" a collected diamond is placed again randomly after that many seconds, and the level is no longer complete when all diamonds are collected. Diamonds come in value "tiers" of kinds of gems,
+ * picked randomly by weight, e.g. "tiers": [{ "kind": "diamond", "value": 1, "weight": 6 }, { "kind": "topaz", "value": 5, "weight": 1 }],
+ * and are worth the "diamond" scoring rule without tiers.
+ * A lane can set the minimum gap in cells between two of its enemies with "gap", which defaults to 1.5 cells.
+ * The "kind" of the enemies of a lane defaults to "bug", and can be "car", "truck", "racer", "snake" or "chaser", e.g.
+ * { "type": "grass", "lane": { "kind": "snake", "direction": "left", "speed": { "min": 40, "max": 60 } } }
+ * Snakes and chasers stay on the board, a single one patrolling the row of the lane, so their lanes have no "spawnInterval" or "gap".
+ * Snakes patrol rows the player can walk along, e.g. grass, while the other kinds drive along rows of a type enemies spawn on, e.g. road.
+ * A water row with "platforms" is a river the player must cross on the floating platforms, falling into it costs a life,
+ * while a water row without platforms is the water the player must reach. The gap between two platforms is measured in cells.
+ * The platforms are logs or turtles, and turtles can dive on a timer, e.g. "dive": { "surfaced": 4, "submerged": 1.5 } in seconds.
+ * The type of a row is the name of a cell type registered in the terrain registry (see terrain.js), e.g. "grass", "road", "water", "goal",
+ * "stone", "mud", "ice" or "hedge". Single cells of a row can be of another type, e.g. hedges on grass:
+ * { "type": "grass", "cells": [{ "column": 2, "type": "hedge" }, { "column": 6, "type": "mud" }] }
+ * Power-ups of random kinds can appear on free cells one at a time, e.g. every 12 seconds, staying for 6 seconds:
+ * "powerUps": { "interval": 12, "duration": 6, "kinds": ["slow", "shield", "multiplier", "freeze", "life"] }, where "kinds" defaults to all kinds.
+ * The "lane" of a road row, the "platforms" of a water row, the "bays" and "bonus" of a goal row, the "cells" of a row,
+ * "diamonds", "powerUps", "scoring", "crossingTime" and "maxCombo" are optional.
+ * Each crossing has a timer counting down from "crossingTime" seconds, the time left when completing the crossing scores by the "time" rule per second,
+ * and each row reached closer to the goal than before during a crossing scores by the "progress" rule. Diamonds picked up one after another
+ * without losing a life form a combo, each worth one more time its value than the one before, up to "maxCombo" times.
+ */
+
+"use strict";
+
+/**
+ * @typedef {Object} LevelSchemaError
+ * @property {string} path the path to the invalid value within the level description, e.g. "rows[2].lane.speed.min"
+ * @property {string} message a description of what is wrong with the value
+ */
+
+/**
+ * the error thrown when a level description does not conform to the JSON level format
+ */
+class LevelFormatError extends Error {
+    /**
+     * @param {LevelSchemaError[]} errors the schema errors found in the level description
+     * @param {string} source a description of where the level was loaded from, e.g. its url
+     */
+    constructor(errors, source = "level") {
+        super(`${source} does not conform to the JSON level format:\n` + errors.map(error => `  ${error.path}: ${error.message}`).join("\n"));
+        this.name = "LevelFormatError";
+        /**
+         * @description the schema errors found in the level description
+         * @type {LevelSchemaError[]}
+         */
+        this.errors = errors;
+    }
+}
+
+/**
+ * loads, validates and creates boards from levels described in the JSON level format
+ */
+class LevelLoader {
+    /**
+     * @returns {Object} the default increments in the player score, used for rules not specified by a level
+     */
+    static get defaultScoring() {
+        return { water: 2, diamond: 1, enemy: -2, car: -3, truck: -4, racer: -3, snake: -1, chaser: -3, drown: -2, bay: 2, bonus: 3, progress: 1, time: 0.2 };
+    }
+
+    /**
+     * validates a level description against the JSON level format
+     * @param {Object} level the parsed level description
+     * @returns {LevelSchemaError[]} the schema errors found, an empty array if the level is valid
+     */
+    static validate(level) {
+        const errors = [];
+        const error = (path, message) => errors.push({ path: path, message: message });
+        const isObject = value => typeof value === "object" && value !== null && !Array.isArray(value);
+        const isInteger = value => Number.isInteger(value);
+        const isNumber = value => typeof value === "number" && isFinite(value);
+        //reports properties not part of the format, as they are most likely misspelled
+        const checkProperties = (value, path, allowed) => Object.keys(value)
+            .filter(key => !allowed.includes(key))
+            .forEach(key => error(path ? `${path}.${key}` : key, `unknown property, expected one of ${allowed.join(", ")}`));
+
+        if (!isObject(level)) {
+            error("(root)", "a level must be an object");
+            return errors;
+        }
+        checkProperties(level, "", ["columns", "rows", "diamonds", "powerUps", "scoring", "crossingTime", "maxCombo", "crossingsToComplete"]);
+
+        if (!isInteger(level.columns) || level.columns < 1) error("columns", "must be an integer of at least 1");
+
+        //the types of the cells of each row, by column
+        const rowCellTypes = [];
+        if (!Array.isArray(level.rows) || level.rows.length < 2) {
+            error("rows", "must be an array of at least 2 rows");
+        }
+        else {
+            level.rows.forEach((row, index) => {
+                const path = `rows[${index}]`;
+                if (!isObject(row)) {
+                    error(path, "a row must be an object");
+                    rowCellTypes.push([]);
+                    return;
+                }
+                checkProperties(row, path, ["type", "lane", "platforms", "bays", "bonus", "cells"]);
+                const type = TERRAIN.has(row.type) ? TERRAIN.get(row.type) : null;
+                if (!type) {
+                    error(`${path}.type`, `'${row.type}' is not a supported type, expected one of ${BoardGridCell.types.join(", ")}`);
+                }
+                const cellTypes = isInteger(level.columns) && level.columns > 0 ? new Array(level.columns).fill(type) : [];
+                if (row.cells !== undefined) {
+                    LevelLoader._validateCells(row, path, level.columns, error, checkProperties).forEach(cell => cellTypes[cell.column] = TERRAIN.get(cell.type));
+                }
+                rowCellTypes.push(cellTypes);
+                if (row.type !== "goal" && cellTypes.length && cellTypes.every(cellType => cellType && !cellType.walkable)) {
+                    error(path, "none of the cells of the row can be walked on, so the player cannot get past it");
+                }
+                if (row.type === "goal") {
+                    if (index !== 0) error(`${path}.type`, "only the first row can be the goal row");
+                    LevelLoader._validateGoal(row, path, level.columns, error, checkProperties);
+                }
+                else {
+                    if (row.bays !== undefined) error(`${path}.bays`, `bays are only allowed on the goal row, not on '${row.type}' rows`);
+                    if (row.bonus !== undefined) error(`${path}.bonus`, `bonus items are only allowed on the goal row, not on '${row.type}' rows`);
+                }
+                if (row.platforms !== undefined) {
+                    if (type && !type.platforms) error(`${path}.platforms`, `platforms are only allowed on rows of a type platforms float on, e.g. water, not on '${row.type}' rows`);
+                    else LevelLoader._validatePlatforms(row.platforms, `${path}.platforms`, error, checkProperties);
+                }
+                if (row.lane === undefined) return;
+                const kind = isObject(row.lane) && row.lane.kind !== undefined ? row.lane.kind : "bug";
+                //an unknown kind is reported by the lane validation, rather than looked up, e.g. "toString"
+                const enemyClass = BoardGridLane.kinds.includes(kind) ? BoardGridLane.enemyClasses[kind] : null;
+                if (type && enemyClass && !enemyClass.canMoveAlong(type)) {
+                    error(`${path}.lane`, kind === "snake" ?
+                        `snakes are only allowed on rows the player can walk along, e.g. grass, not on '${row.type}' rows` :
+                        `lanes of ${kind} enemies are only allowed on rows of a type enemies spawn on, e.g. road, not on '${row.type}' rows`);
+                    return;
+                }
+                LevelLoader._validateLane(row.lane, `${path}.lane`, error, checkProperties);
+            });
+            const hasGoal = level.rows.some(row => row && row.type === "goal");
+            const hasWater = level.rows.some(row => row && row.type === "water" && row.platforms === undefined);
+            if (!hasGoal && !hasWater) {
+                error("rows", "at least one water row without platforms, or a goal row, is required for the player to reach");
+            }
+            if (hasGoal && hasWater) {
+                error("rows", "a level with a goal row cannot have water rows without platforms, as the player must reach the bays");
+            }
+            if (hasGoal && level.crossingsToComplete !== undefined) {
+                error("crossingsToComplete", "is not allowed in a level with a goal row, which is complete when all bays are filled");
+            }
+            //the player starts in the middle of the last row, as placed by Board.playerStartPosition
+            const startColumn = Math.ceil((level.columns - 1) / 2);
+            const startType = rowCellTypes[rowCellTypes.length - 1][startColumn];
+            if (startType && !startType.canStartOn) {
+                error(`rows[${level.rows.length - 1}]`, `the last row is the player start row, and the player cannot start on '${startType.name}' in column ${startColumn}`);
+            }
+        }
+
+        if (level.diamonds !== undefined) LevelLoader._validateDiamonds(level.diamonds, "diamonds", rowCellTypes, level.columns, error, checkProperties);
+
+        if (level.powerUps !== undefined) LevelLoader._validatePowerUps(level.powerUps, "powerUps", error, checkProperties);
+
+        if (level.scoring !== undefined) {
+            if (!isObject(level.scoring)) {
+                error("scoring", "must be an object");
+            }
+            else {
+                const rules = Object.keys(LevelLoader.defaultScoring);
+                checkProperties(level.scoring, "scoring", rules);
+                rules.filter(rule => level.scoring[rule] !== undefined && !isNumber(level.scoring[rule]))
+                     .forEach(rule => error(`scoring.${rule}`, "must be a number"));
+            }
+        }
+
+        if (level.crossingTime !== undefined && (!isNumber(level.crossingTime) || level.crossingTime <= 0)) {
+            error("crossingTime", "must be a number of seconds greater than 0");
+        }
+        if (level.maxCombo !== undefined && (!isInteger(level.maxCombo) || level.maxCombo < 1)) {
+            error("maxCombo", "must be an integer of at least 1");
+        }
+
+        if (level.crossingsToComplete !== undefined && (!isInteger(level.crossingsToComplete) || level.crossingsToComplete < 1)) {
+            error("crossingsToComplete", "must be an integer of at least 1");
+        }
+        return errors;
+    }
+
+    /**
+     * validates a lane of a road row
+     * @param {Object} lane the lane description
+     * @param {string} path the path to the lane within the level description
+     * @param {function(string, string)} error the function reporting a schema error
+     * @param {function(Object, string, string[])} checkProperties the function reporting unknown properties
+     * @private
+     */
+    static _validateLane(lane, path, error, checkProperties) {
+        if (typeof lane !== "object" || lane === null) {
+            error(path, "a lane must be an object");
+            return;
+        }
+        checkProperties(lane, path, ["kind", "direction", "speed", "spawnInterval", "gap"]);
+        if (lane.kind !== undefined && !BoardGridLane.kinds.includes(lane.kind)) error(`${path}.kind`, `must be one of ${BoardGridLane.kinds.join(", ")}`);
+        if (lane.direction !== "left" && lane.direction !== "right") error(`${path}.direction`, "must be either 'left' or 'right'");
+        const speed = lane.speed;
+        if (typeof speed !== "object" || speed === null) {
+            error(`${path}.speed`, "must be an object with a min and max speed");
+        }
+        else {
+            checkProperties(speed, `${path}.speed`, ["min", "max"]);
+            if (typeof speed.min !== "number" || speed.min <= 0) error(`${path}.speed.min`, "must be a number greater than 0");
+            if (typeof speed.max !== "number" || speed.max <= 0) error(`${path}.speed.max`, "must be a number greater than 0");
+            if (speed.min > speed.max) error(`${path}.speed`, `min (${speed.min}) cannot be greater than max (${speed.max})`);
+        }
+        //enemies patrolling their row are alone in their lane, so they are not spawned on an interval and keep no gap
+        const enemyClass = BoardGridLane.kinds.includes(lane.kind) ? BoardGridLane.enemyClasses[lane.kind] : null;
+        if (enemyClass && enemyClass.patrols) {
+            if (lane.spawnInterval !== undefined) error(`${path}.spawnInterval`, `is not allowed for ${lane.kind} lanes, which hold a single ${lane.kind} patrolling the row`);
+            if (lane.gap !== undefined) error(`${path}.gap`, `is not allowed for ${lane.kind} lanes, which hold a single ${lane.kind} patrolling the row`);
+            return;
+        }
+        if (typeof lane.spawnInterval !== "number" || lane.spawnInterval <= 0) error(`${path}.spawnInterval`, "must be a number of seconds greater than 0");
+        //a gap narrower than a cell would leave the player no room between two enemies
+        if (lane.gap !== undefined && (typeof lane.gap !== "number" || lane.gap < 1)) error(`${path}.gap`, "must be a number of cells of at least 1, so the player fits between two enemies");
+    }
+
+    /**
+     * validates the types of single cells of a row, which differ from the type of the row
+     * @param {Object} row the row description
+     * @param {string} path the path to the row within the level description
+     * @param {number} columns the number of columns of the level
+     * @param {function(string, string)} error the function reporting a schema error
+     * @param {function(Object, string, string[])} checkProperties the function reporting unknown properties
+     * @returns {{column: number, type: string}[]} the valid cells
+     * @private
+     */
+    static _validateCells(row, path, columns, error, checkProperties) {
+        //the cells of rows with moving lanes and of the goal row are defined by their lanes and bays
+        if (row.type === "goal" || row.lane !== undefined || row.platforms !== undefined) {
+            error(`${path}.cells`, "cells are not allowed on the goal row or on rows with a lane or platforms");
+            return [];
+        }
+        if (!Array.isArray(row.cells)) {
+            error(`${path}.cells`, "must be an array of cells with a column and type");
+            return [];
+        }
+        const valid = [];
+        row.cells.forEach((cell, index) => {
+            const cellPath = `${path}.cells[${index}]`;
+            if (typeof cell !== "object" || cell === null || !Number.isInteger(cell.column)) {
+                error(cellPath, "must be an object with an integer column and a type");
+                return;
+            }
+            checkProperties(cell, cellPath, ["column", "type"]);
+            if (Number.isInteger(columns) && (cell.column < 0 || cell.column >= columns)) {
+                error(`${cellPath}.column`, `must be from 0 to ${columns - 1}`);
+            }
+            else if (!TERRAIN.has(cell.type) || cell.type === "goal") {
+                error(`${cellPath}.type`, `'${cell.type}' is not a supported type, expected one of ${BoardGridCell.types.filter(type => type !== "goal").join(", ")}`);
+            }
+            else if (valid.some(other => other.column === cell.column)) {
+                error(cellPath, `column ${cell.column} is already set`);
+            }
+            else {
+                valid.push(cell);
+            }
+        });
+        return valid;
+    }
+
+    /**
+     * validates the bays and bonus items of the goal row
+     * @param {Object} row the goal row description
+     * @param {string} path the path to the row within the level description
+     * @param {number} columns the number of columns of the level
+     * @param {function(string, string)} error the function reporting a schema error
+     * @param {function(Object, string, string[])} checkProperties the function reporting unknown properties
+     * @private
+     */
+    static _validateGoal(row, path, columns, error, checkProperties) {
+        if (row.bays !== undefined && (!Number.isInteger(row.bays) || row.bays < 1 || (Number.isInteger(columns) && row.bays > columns))) {
+            error(`${path}.bays`, "must be an integer from 1 to the number of columns");
+        }
+        if (row.bonus === undefined) return;
+        const bonus = row.bonus;
+        if (typeof bonus !== "object" || bonus === null) {
+            error(`${path}.bonus`, "must be an object with the interval and duration of bonus items");
+            return;
+        }
+        checkProperties(bonus, `${path}.bonus`, ["interval", "duration"]);
+        if (typeof bonus.interval !== "number" || bonus.interval <= 0) error(`${path}.bonus.interval`, "must be a number of seconds greater than 0");
+        if (typeof bonus.duration !== "number" || bonus.duration <= 0) error(`${path}.bonus.duration`, "must be a number of seconds greater than 0");
+    }
+
+    /**
+     * validates the diamonds of a level, and whether they fit on the cells of the level they can be placed on
+     * @param {Object} diamonds the diamonds description
+     * @param {string} path the path to the diamonds within the level description
+     * @param {CellType[][]} rowCellTypes the types of the cells of each row of the level by column, null for cells of unsupported types
+     * @param {number} columns the number of columns of the level
+     * @param {function(string, string)} error the function reporting a schema error
+     * @param {function(Object, string, string[])} checkProperties the function reporting unknown properties
+     * @private
+     */
+    static _validateDiamonds(diamonds, path, rowCellTypes, columns, error, checkProperties) {
+        if (typeof diamonds !== "object" || diamonds === null) {
+            error(path, "must be an object");
+            return;
+        }
+        if ((diamonds.count === undefined) === (diamonds.positions === undefined)) {
+            error(path, "must specify either a count or positions, but not both");
+            return;
+        }
+        checkProperties(diamonds, path, ["count", "positions", "cells", "minDistance", "respawn", "tiers"]);
+        if (diamonds.cells !== undefined && diamonds.cells !== "diamonds" && diamonds.cells !== "walkable") {
+            error(`${path}.cells`, "must be either 'diamonds' or 'walkable'");
+        }
+        if (diamonds.minDistance !== undefined && (!Number.isInteger(diamonds.minDistance) || diamonds.minDistance < 0)) {
+            error(`${path}.minDistance`, "must be an integer number of cells of at least 0");
+        }
+        if (diamonds.respawn !== undefined && (typeof diamonds.respawn !== "number" || diamonds.respawn <= 0)) {
+            error(`${path}.respawn`, "must be a number of seconds greater than 0");
+        }
+        if (diamonds.tiers !== undefined) LevelLoader._validateDiamondTiers(diamonds.tiers, `${path}.tiers`, error, checkProperties);
+
+        //the cells diamonds can be placed on, as found by Board.diamondCells when the player is at its start position,
+        //leaving out the grass banks between the bays of a goal row, which are only laid out by the board.
+        //a diamond is never placed on the cell of the player, which would pick it up straight away
+        const walkable = diamonds.cells === "walkable";
+        const minDistance = Number.isInteger(diamonds.minDistance) ? diamonds.minDistance : 0;
+        const startRow = rowCellTypes.length - 1;
+        const startColumn = Math.ceil((columns - 1) / 2);
+        const isAwayFromStart = cell => Math.abs(cell.row - startRow) + Math.abs(cell.column - startColumn) >= Math.max(minDistance, 1);
+        const diamondCells = [];
+        rowCellTypes.forEach((cellTypes, row) => cellTypes.forEach((cellType, column) => {
+            if (cellType && (cellType.diamonds || (walkable && cellType.canStartOn))) diamondCells.push({ row: row, column: column });
+        }));
+        if (diamonds.count !== undefined) {
+            const freeCells = diamondCells.filter(isAwayFromStart);
+            if (!Number.isInteger(diamonds.count) || diamonds.count < 0) {
+                error(`${path}.count`, "must be an integer of at least 0");
+            }
+            else if (diamonds.count > freeCells.length && rowCellTypes.length) {
+                error(`${path}.count`, `${diamonds.count} diamonds do not fit on the ${freeCells.length} cells of the level diamonds can be placed on` +
+                                       (minDistance ? `, at least ${minDistance} cells away from the player` : ""));
+            }
+        }
+        else if (!Array.isArray(diamonds.positions)) {
+            error(`${path}.positions`, "must be an array of grid positions");
+        }
+        else {
+            const occupied = new Set();
+            diamonds.positions.forEach((position, index) => {
+                const positionPath = `${path}.positions[${index}]`;
+                if (typeof position !== "object" || position === null || !Number.isInteger(position.row) || !Number.isInteger(position.column)) {
+                    error(positionPath, "must be an object with an integer row and column");
+                    return;
+                }
+                checkProperties(position, positionPath, ["row", "column"]);
+                if (!diamondCells.some(cell => cell.row === position.row && cell.column === position.column)) {
+                    error(positionPath, `row ${position.row}, column ${position.column} is not a cell of the level diamonds can be placed on`);
+                }
+                else if (!isAwayFromStart(position)) {
+                    error(positionPath, position.row === startRow && position.column === startColumn ?
+                                        `row ${position.row}, column ${position.column} is the cell the player starts on` :
+                                        `row ${position.row}, column ${position.column} is less than ${minDistance} cells away from the player`);
+                }
+                const key = `${position.row},${position.column}`;
+                if (occupied.has(key)) error(positionPath, `row ${position.row}, column ${position.column} already holds a diamond`);
+                occupied.add(key);
+            });
+        }
+    }
+
+    /**
+     * validates the value tiers of the diamonds of a level
+     * @param {Object[]} tiers the tier descriptions
+     * @param {string} path the path to the tiers within the level description
+     * @param {function(string, string)} error the function reporting a schema error
+     * @param {function(Object, string, string[])} checkProperties the function reporting unknown properties
+     * @private
+     */
+    static _validateDiamondTiers(tiers, path, error, checkProperties) {
+        const kinds = Object.keys(Diamond.kinds);
+        if (!Array.isArray(tiers) || !tiers.length) {
+            error(path, "must be an array of at least one tier");
+            return;
+        }
+        tiers.forEach((tier, index) => {
+            const tierPath = `${path}[${index}]`;
+            if (typeof tier !== "object" || tier === null) {
+                error(tierPath, "a tier must be an object with a kind, value and weight");
+                return;
+            }
+            checkProperties(tier, tierPath, ["kind", "value", "weight"]);
+            if (!kinds.includes(tier.kind)) error(`${tierPath}.kind`, `must be one of ${kinds.join(", ")}`);
+            else if (tiers.findIndex(other => other && other.kind === tier.kind) !== index) error(`${tierPath}.kind`, `'${tier.kind}' is listed more than once`);
+            if (typeof tier.value !== "number") error(`${tierPath}.value`, "must be a number");
+            if (typeof tier.weight !== "number" || tier.weight <= 0) error(`${tierPath}.weight`, "must be a number greater than 0");
+        });
+    }
+
+    /**
+     * validates the power-ups of a level
+     * @param {Object} powerUps the power-ups description
+     * @param {string} path the path to the power-ups within the level description
+     * @param {function(string, string)} error the function reporting a schema error
+     * @param {function(Object, string, string[])} checkProperties the function reporting unknown properties
+     * @private
+     */
+    static _validatePowerUps(powerUps, path, error, checkProperties) {
+        if (typeof powerUps !== "object" || powerUps === null) {
+            error(path, "must be an object with the interval and duration of power-ups");
+            return;
+        }
+        checkProperties(powerUps, path, ["interval", "duration", "kinds"]);
+        if (typeof powerUps.interval !== "number" || powerUps.interval <= 0) error(`${path}.interval`, "must be a number of seconds greater than 0");
+        if (typeof powerUps.duration !== "number" || powerUps.duration <= 0) error(`${path}.duration`, "must be a number of seconds greater than 0");
+        if (powerUps.kinds === undefined) return;
+        const kinds = Object.keys(PowerUp.kinds);
+        if (!Array.isArray(powerUps.kinds) || !powerUps.kinds.length) {
+            error(`${path}.kinds`, `must be an array of at least one of ${kinds.join(", ")}`);
+            return;
+        }
+        powerUps.kinds.forEach((kind, index) => {
+            if (!kinds.includes(kind)) error(`${path}.kinds[${index}]`, `must be one of ${kinds.join(", ")}`);
+            else if (powerUps.kinds.indexOf(kind) !== index) error(`${path}.kinds[${index}]`, `'${kind}' is listed more than once`);
+        });
+    }
+
+    /**
+     * validates the platforms of a water row
+     * @param {Object} platforms the platforms description
+     * @param {string} path the path to the platforms within the level description
+     * @param {function(string, string)} error the function reporting a schema error
+     * @param {function(Object, string, string[])} checkProperties the function reporting unknown properties
+     * @private
+     */
+    static _validatePlatforms(platforms, path, error, checkProperties) {
+        if (typeof platforms !== "object" || platforms === null) {
+            error(path, "platforms must be an object");
+            return;
+        }
+        checkProperties(platforms, path, ["kind", "direction", "speed", "length", "gap", "dive"]);
+        if (!BoardGridPlatformLane.kinds.includes(platforms.kind)) error(`${path}.kind`, `must be one of ${BoardGridPlatformLane.kinds.join(", ")}`);
+        if (platforms.direction !== "left" && platforms.direction !== "right") error(`${path}.direction`, "must be either 'left' or 'right'");
+        if (typeof platforms.speed !== "number" || platforms.speed <= 0) error(`${path}.speed`, "must be a number greater than 0");
+        if (!Number.isInteger(platforms.length) || platforms.length < 1) error(`${path}.length`, "must be an integer number of cells of at least 1");
+        const gap = platforms.gap;
+        if (typeof gap !== "object" || gap === null) {
+            error(`${path}.gap`, "must be an object with a min and max gap in cells");
+        }
+        else {
+            checkProperties(gap, `${path}.gap`, ["min", "max"]);
+            if (typeof gap.min !== "number" || gap.min < 0) error(`${path}.gap.min`, "must be a number of cells of at least 0");
+            if (typeof gap.max !== "number" || gap.max < 0) error(`${path}.gap.max`, "must be a number of cells of at least 0");
+            if (gap.min > gap.max) error(`${path}.gap`, `min (${gap.min}) cannot be greater than max (${gap.max})`);
+        }
+        if (platforms.dive === undefined) return;
+        if (platforms.kind !== "turtle") {
+            error(`${path}.dive`, "only turtles can dive");
+            return;
+        }
+        const dive = platforms.dive;
+        if (typeof dive !== "object" || dive === null) {
+            error(`${path}.dive`, "must be an object with the surfaced and submerged times");
+            return;
+        }
+        checkProperties(dive, `${path}.dive`, ["surfaced", "submerged"]);
+        if (typeof dive.surfaced !== "number" || dive.surfaced <= 0) error(`${path}.dive.surfaced`, "must be a number of seconds greater than 0");
+        if (typeof dive.submerged !== "number" || dive.submerged <= 0) error(`${path}.dive.submerged`, "must be a number of seconds greater than 0");
+    }
+
+    /**
+     * validates a level description and throws if it does not conform to the JSON level format
+     * @param {Object|string} level the level description, either parsed or as a JSON string
+     * @param {string} source a description of where the level was loaded from, used in error messages
+     * @returns {Object} the validated level description
+     */
+    static parse(level, source = "level") {
+        if (typeof level === "string") {
+            try {
+                level = JSON.parse(level);
+            }
+            catch (e) {
+                throw new LevelFormatError([{ path: "(root)", message: `invalid JSON, ${e.message}` }], source);
+            }
+        }
+        const errors = LevelLoader.validate(level);
+        if (errors.length) throw new LevelFormatError(errors, source);
+        return level;
+    }
+
+    /**
+     * loads and validates a level described in a JSON file
+     * @param {string} url the url of the JSON file
+     * @returns {Promise<Object>} a promise resolving to the validated level description
+     */
+    static load(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`failed to load level '${url}', status ${response.status}`);
+                return response.text();
+            })
+            .then(text => LevelLoader.parse(text, url));
+    }
+
+    /**
+     * validates a level description and creates a board from it
+     * @param {Object|string} level the level description, either parsed or as a JSON string
+     * @param {Object} options the board settings not part of the level description
+     * @param {EntityVisual} options.cellVisualTemplate the entity visual representing the dimensional specifications applying to all cells
+     * @param {number} options.levelNumber the one-based number of the level
+     * @param {number} options.numberOfLives the number of lives the player starts with
+     * @param {number} options.invulnerabilityDuration the time in seconds the player cannot be hit after being respawned
+     * @param {number} options.playerMoveDuration the time in seconds the player takes to hop from one cell to the next
+     * @param {function(number): number} options.playerMoveEasing the easing function shaping the hops of the player, see Easing
+     * @param {Random} options.random the random number generator used for the diamond layout and the enemy stream of the board
+     * @param {CanvasRenderer|NullRenderer} options.renderer the renderer the board is drawn with
+     * @returns {Board} the board of the level
+     */
+    static createBoard(level, {cellVisualTemplate, levelNumber = 1, numberOfLives = 3, invulnerabilityDuration = 2,
+                               playerMoveDuration = 0.12, playerMoveEasing = Easing.easeOutQuad, random = new Random(), renderer = new NullRenderer()}) {
+        level = LevelLoader.parse(level, `level ${levelNumber}`);
+        const diamonds = level.diamonds || { count: 0 };
+        const lanes = [];
+        const platformLanes = [];
+        let goal = {};
+        const cellTypes = [];
+        level.rows.forEach((row, index) => {
+            if (row.cells) row.cells.forEach(cell => cellTypes.push({ row: index, column: cell.column, type: cell.type }));
+            if (row.type === "goal") {
+                goal = {
+                    bays: row.bays === undefined ? null : row.bays,
+                    bonus: row.bonus ? { interval: row.bonus.interval, duration: row.bonus.duration } : null
+                };
+            }
+            if (row.platforms) {
+                platformLanes.push({
+                    row: index,
+                    kind: row.platforms.kind,
+                    direction: row.platforms.direction === "right" ? 1 : -1,
+                    speed: row.platforms.speed,
+                    length: row.platforms.length,
+                    gap: { min: row.platforms.gap.min, max: row.platforms.gap.max },
+                    dive: row.platforms.dive ? { surfaced: row.platforms.dive.surfaced, submerged: row.platforms.dive.submerged } : null
+                });
+            }
+            if (!row.lane) return;
+            lanes.push({
+                row: index,
+                kind: row.lane.kind || "bug",
+                direction: row.lane.direction === "right" ? 1 : -1,
+                enemyIncrementRange: { min: row.lane.speed.min, max: row.lane.speed.max },
+                spawnInterval: row.lane.spawnInterval === undefined ? 3 : row.lane.spawnInterval,
+                gap: row.lane.gap === undefined ? 1.5 : row.lane.gap
+            });
+        });
+        return new Board({
+            numberOfColumns: level.columns,
+            rowTypes: level.rows.map(row => row.type),
+            numberOfDiamonds: diamonds.count || 0,
+            diamondPositions: diamonds.positions ? diamonds.positions.map(position => new GridPosition(position.row, position.column)) : null,
+            diamondPlacement: {
+                cells: diamonds.cells || "diamonds",
+                minDistance: diamonds.minDistance || 0,
+                respawnDelay: diamonds.respawn === undefined ? null : diamonds.respawn,
+                tiers: diamonds.tiers ? diamonds.tiers.map(tier => ({ kind: tier.kind, value: tier.value, weight: tier.weight })) : null
+            },
+            lanes: lanes,
+            platformLanes: platformLanes,
+            goal: goal,
+            cellTypes: cellTypes,
+            powerUps: level.powerUps ? {
+                interval: level.powerUps.interval,
+                duration: level.powerUps.duration,
+                kinds: level.powerUps.kinds ? level.powerUps.kinds.slice() : Object.keys(PowerUp.kinds)
+            } : null,
+            scoring: Object.assign(LevelLoader.defaultScoring, level.scoring),
+            crossingTime: level.crossingTime === undefined ? 30 : level.crossingTime,
+            maxCombo: level.maxCombo === undefined ? 4 : level.maxCombo,
+            numberOfLives: numberOfLives,
+            invulnerabilityDuration: invulnerabilityDuration,
+            playerMoveDuration: playerMoveDuration,
+            playerMoveEasing: playerMoveEasing,
+            level: levelNumber,
+            crossingsToComplete: level.crossingsToComplete || 3,
+            random: random,
+            renderer: renderer,
+            cellVisualTemplate: cellVisualTemplate
+        });
+    }
+}
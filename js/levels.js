@@ -0,0 +1,204 @@
+/* levels.js
+ * This file provides the table of levels played in order during a game.
+ * Each level is described in the JSON level format documented in levelloader.js,
+ * and is turned into a Board by the LevelLoader when the level is started.
+ * Changing, adding or removing levels can change the game feel and difficulty significantly.
+ */
+
+"use strict";
+
+/**
+ * the levels of the game in the order they are played.
+ * the first five levels are the classic crossings: the player reaches the water at the top a number of times.
+ * each level adds a road row with its own lane of enemies, and the enemies get faster and more frequent.
+ * from the third level on the water is reached across a river of logs and turtles, and on the last levels the turtles dive.
+ * the next five levels play the same roads and rivers again, now with a goal row of bays at the top the player fills, one bay per crossing,
+ * and bonus items appearing in the bays of the last levels.
+ * trucks join the bugs from the seventh level on, followed by cars, a snake on the grass, racers and finally a chaser.
+ * power-ups appear from the seventh level on, less often and more briefly on the later levels.
+ * from the eighth level on diamonds come in more valuable kinds of gems, and on the last levels collected diamonds come back elsewhere.
+ * @type {Object[]}
+ */
+const LEVELS = [
+    {
+        columns: 9,
+        rows: [
+            { type: "water" },
+            { type: "road", lane: { direction: "right", speed: { min: 50, max: 120 }, spawnInterval: 3.5 } },
+            { type: "road", lane: { direction: "left", speed: { min: 60, max: 150 }, spawnInterval: 3 } },
+            { type: "road", lane: { direction: "right", speed: { min: 50, max: 200 }, spawnInterval: 4 } },
+            { type: "grass" },
+            { type: "grass" }
+        ],
+        diamonds: { count: 2 },
+        crossingsToComplete: 3
+    },
+    {
+        columns: 9,
+        rows: [
+            { type: "water" },
+            { type: "road", lane: { direction: "right", speed: { min: 50, max: 150 }, spawnInterval: 3 } },
+            { type: "road", lane: { direction: "left", speed: { min: 80, max: 200 }, spawnInterval: 2.5 } },
+            { type: "road", lane: { direction: "right", speed: { min: 60, max: 250 }, spawnInterval: 3 } },
+            { type: "road", lane: { direction: "left", speed: { min: 50, max: 300 }, spawnInterval: 3.5 } },
+            { type: "grass" },
+            { type: "grass" }
+        ],
+        diamonds: { count: 3 },
+        crossingsToComplete: 3
+    },
+    {
+        columns: 9,
+        rows: [
+            { type: "water" },
+            { type: "water", platforms: { kind: "log", direction: "left", speed: 50, length: 3, gap: { min: 1.5, max: 3 } } },
+            { type: "grass" },
+            { type: "road", lane: { direction: "right", speed: { min: 50, max: 200 }, spawnInterval: 2.5 } },
+            { type: "road", lane: { direction: "left", speed: { min: 100, max: 300 }, spawnInterval: 2.5 } },
+            { type: "road", lane: { direction: "right", speed: { min: 60, max: 250 }, spawnInterval: 3 } },
+            { type: "road", lane: { direction: "left", speed: { min: 150, max: 400 }, spawnInterval: 3 } },
+            { type: "road", lane: { direction: "right", speed: { min: 50, max: 200 }, spawnInterval: 2 } },
+            { type: "grass" },
+            { type: "grass" }
+        ],
+        diamonds: { count: 3 },
+        crossingsToComplete: 4
+    },
+    {
+        columns: 9,
+        rows: [
+            { type: "water" },
+            { type: "water", platforms: { kind: "turtle", direction: "right", speed: 40, length: 3, gap: { min: 1, max: 2.5 }, dive: { surfaced: 5, submerged: 1.5 } } },
+            { type: "water", platforms: { kind: "log", direction: "left", speed: 60, length: 3, gap: { min: 1.5, max: 3 } } },
+            { type: "grass" },
+            { type: "road", lane: { direction: "right", speed: { min: 50, max: 250 }, spawnInterval: 2 } },
+            { type: "road", lane: { direction: "left", speed: { min: 150, max: 400 }, spawnInterval: 2.5 } },
+            { type: "road", lane: { direction: "right", speed: { min: 80, max: 300 }, spawnInterval: 2 } },
+            { type: "road", lane: { direction: "left", speed: { min: 200, max: 500 }, spawnInterval: 3 } },
+            { type: "road", lane: { direction: "right", speed: { min: 60, max: 250 }, spawnInterval: 2 } },
+            { type: "road", lane: { direction: "left", speed: { min: 100, max: 350 }, spawnInterval: 2.5 } },
+            { type: "grass" },
+            { type: "grass" }
+        ],
+        diamonds: { count: 4 },
+        crossingsToComplete: 4
+    },
+    {
+        columns: 9,
+        rows: [
+            { type: "water" },
+            { type: "water", platforms: { kind: "log", direction: "right", speed: 70, length: 2, gap: { min: 1.5, max: 3.5 } } },
+            { type: "water", platforms: { kind: "turtle", direction: "left", speed: 50, length: 2, gap: { min: 1, max: 2.5 }, dive: { surfaced: 4, submerged: 1.5 } } },
+            { type: "water", platforms: { kind: "log", direction: "right", speed: 50, length: 4, gap: { min: 2, max: 3 } } },
+            { type: "grass" },
+            { type: "road", lane: { direction: "right", speed: { min: 60, max: 300 }, spawnInterval: 1.8 } },
+            { type: "road", lane: { direction: "left", speed: { min: 200, max: 600 }, spawnInterval: 2.5 } },
+            { type: "road", lane: { direction: "right", speed: { min: 80, max: 350 }, spawnInterval: 2 } },
+            { type: "road", lane: { direction: "left", speed: { min: 250, max: 600 }, spawnInterval: 3 } },
+            { type: "road", lane: { direction: "right", speed: { min: 40, max: 250 }, spawnInterval: 1.6 } },
+            { type: "road", lane: { direction: "left", speed: { min: 150, max: 450 }, spawnInterval: 2.2 } },
+            { type: "road", lane: { direction: "right", speed: { min: 100, max: 400 }, spawnInterval: 2 } },
+            { type: "grass" },
+            { type: "grass" }
+        ],
+        diamonds: { count: 5 },
+        crossingsToComplete: 5
+    },
+    {
+        columns: 9,
+        rows: [
+            { type: "goal", bays: 3 },
+            { type: "road", lane: { direction: "right", speed: { min: 50, max: 120 }, spawnInterval: 3.5 } },
+            { type: "road", lane: { direction: "left", speed: { min: 60, max: 150 }, spawnInterval: 3 } },
+            { type: "road", lane: { direction: "right", speed: { min: 50, max: 200 }, spawnInterval: 4 } },
+            { type: "grass" },
+            { type: "grass" }
+        ],
+        diamonds: { count: 2 }
+    },
+    {
+        columns: 9,
+        rows: [
+            { type: "goal", bays: 3 },
+            { type: "road", lane: { direction: "right", speed: { min: 50, max: 150 }, spawnInterval: 3 } },
+            { type: "road", lane: { direction: "left", speed: { min: 80, max: 200 }, spawnInterval: 2.5 } },
+            { type: "road", lane: { direction: "right", speed: { min: 60, max: 250 }, spawnInterval: 3 } },
+            { type: "road", lane: { direction: "left", speed: { min: 50, max: 300 }, spawnInterval: 3.5 } },
+            { type: "road", lane: { kind: "truck", direction: "left", speed: { min: 50, max: 120 }, spawnInterval: 4 } },
+            { type: "grass" },
+            { type: "grass" }
+        ],
+        diamonds: { count: 3 },
+        powerUps: { interval: 10, duration: 8, kinds: ["slow", "shield", "life"] }
+    },
+    {
+        columns: 9,
+        rows: [
+            { type: "goal", bays: 4 },
+            { type: "water", platforms: { kind: "log", direction: "left", speed: 50, length: 3, gap: { min: 1.5, max: 3 } } },
+            { type: "grass", lane: { kind: "snake", direction: "right", speed: { min: 40, max: 60 } } },
+            { type: "road", lane: { direction: "right", speed: { min: 50, max: 200 }, spawnInterval: 2.5 } },
+            { type: "road", lane: { direction: "left", speed: { min: 100, max: 300 }, spawnInterval: 2.5 } },
+            { type: "road", lane: { direction: "right", speed: { min: 60, max: 250 }, spawnInterval: 3 } },
+            { type: "road", lane: { direction: "left", speed: { min: 150, max: 400 }, spawnInterval: 3 } },
+            { type: "road", lane: { kind: "car", direction: "left", speed: { min: 100, max: 250 }, spawnInterval: 3 } },
+            { type: "road", lane: { direction: "right", speed: { min: 50, max: 200 }, spawnInterval: 2 } },
+            { type: "grass" },
+            { type: "grass" }
+        ],
+        diamonds: { count: 3, tiers: [{ kind: "diamond", value: 1, weight: 4 }, { kind: "emerald", value: 2, weight: 1 }] },
+        powerUps: { interval: 12, duration: 7, kinds: ["slow", "shield", "multiplier", "life"] }
+    },
+    {
+        columns: 9,
+        rows: [
+            { type: "goal", bays: 4, bonus: { interval: 10, duration: 5 } },
+            { type: "water", platforms: { kind: "turtle", direction: "right", speed: 40, length: 3, gap: { min: 1, max: 2.5 }, dive: { surfaced: 5, submerged: 1.5 } } },
+            { type: "water", platforms: { kind: "log", direction: "left", speed: 60, length: 3, gap: { min: 1.5, max: 3 } } },
+            { type: "grass" },
+            { type: "road", lane: { direction: "right", speed: { min: 50, max: 250 }, spawnInterval: 2 } },
+            { type: "road", lane: { kind: "racer", direction: "right", speed: { min: 60, max: 160 }, spawnInterval: 2.5 } },
+            { type: "road", lane: { direction: "left", speed: { min: 150, max: 400 }, spawnInterval: 2.5 } },
+            { type: "road", lane: { direction: "right", speed: { min: 80, max: 300 }, spawnInterval: 2 } },
+            { type: "road", lane: { direction: "left", speed: { min: 200, max: 500 }, spawnInterval: 3 } },
+            { type: "road", lane: { direction: "right", speed: { min: 60, max: 250 }, spawnInterval: 2 } },
+            { type: "road", lane: { kind: "truck", direction: "right", speed: { min: 60, max: 120 }, spawnInterval: 3.5 } },
+            { type: "road", lane: { direction: "left", speed: { min: 100, max: 350 }, spawnInterval: 2.5 } },
+            { type: "grass" },
+            { type: "grass" }
+        ],
+        diamonds: {
+            count: 4, respawn: 8, minDistance: 2,
+            tiers: [{ kind: "diamond", value: 1, weight: 6 }, { kind: "emerald", value: 2, weight: 3 }, { kind: "topaz", value: 5, weight: 1 }]
+        },
+        powerUps: { interval: 12, duration: 6 }
+    },
+    {
+        columns: 9,
+        rows: [
+            { type: "goal", bays: 5, bonus: { interval: 8, duration: 4 } },
+            { type: "water", platforms: { kind: "log", direction: "right", speed: 70, length: 2, gap: { min: 1.5, max: 3.5 } } },
+            { type: "water", platforms: { kind: "turtle", direction: "left", speed: 50, length: 2, gap: { min: 1, max: 2.5 }, dive: { surfaced: 4, submerged: 1.5 } } },
+            { type: "water", platforms: { kind: "log", direction: "right", speed: 50, length: 4, gap: { min: 2, max: 3 } } },
+            { type: "grass" },
+            { type: "road", lane: { direction: "right", speed: { min: 60, max: 300 }, spawnInterval: 1.8 } },
+            { type: "road", lane: { direction: "left", speed: { min: 200, max: 600 }, spawnInterval: 2.5 } },
+            { type: "road", lane: { kind: "car", direction: "left", speed: { min: 150, max: 400 }, spawnInterval: 2.5 } },
+            { type: "road", lane: { direction: "right", speed: { min: 80, max: 350 }, spawnInterval: 2 } },
+            { type: "road", lane: { direction: "left", speed: { min: 250, max: 600 }, spawnInterval: 3 } },
+            { type: "road", lane: { kind: "racer", direction: "left", speed: { min: 150, max: 300 }, spawnInterval: 3 } },
+            { type: "road", lane: { direction: "right", speed: { min: 40, max: 250 }, spawnInterval: 1.6 } },
+            { type: "road", lane: { kind: "truck", direction: "right", speed: { min: 50, max: 120 }, spawnInterval: 3 } },
+            { type: "road", lane: { direction: "left", speed: { min: 150, max: 450 }, spawnInterval: 2.2 } },
+            { type: "road", lane: { direction: "right", speed: { min: 100, max: 400 }, spawnInterval: 2 } },
+            { type: "road", lane: { kind: "chaser", direction: "right", speed: { min: 50, max: 70 } } },
+            { type: "grass" },
+            { type: "grass" }
+        ],
+        diamonds: {
+            count: 5, cells: "walkable", respawn: 6, minDistance: 3,
+            tiers: [{ kind: "diamond", value: 1, weight: 5 }, { kind: "emerald", value: 2, weight: 3 }, { kind: "topaz", value: 5, weight: 2 }]
+        },
+        powerUps: { interval: 15, duration: 5 }
+    }
+];
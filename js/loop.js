@@ -0,0 +1,113 @@
+/* loop.js
+ * This file provides the game loop, which updates the game in fixed time steps based on the time read from a clock,
+ * and the clocks it can be driven by. In the browser the loop reads the real time,
+ * while a headless simulation drives it with a manual clock advanced as fast as the computer allows.
+ */
+
+"use strict";
+
+/**
+ * a clock reading the real time from the high resolution timer of the environment
+ */
+class PerformanceClock {
+    /**
+     * @returns {number} the current time in seconds
+     */
+    now() {
+        return performance.now() / 1000;
+    }
+}
+
+/**
+ * a clock that only moves when it is advanced, used to simulate the passing of time
+ */
+class ManualClock {
+    /**
+     * @param {number} time the time in seconds the clock starts at
+     */
+    constructor(time = 0) {
+        /**
+         * @description the current time in seconds
+         * @type {number}
+         * @private
+         */
+        this._time = time;
+    }
+
+    /**
+     * @returns {number} the current time in seconds
+     */
+    now() {
+        return this._time;
+    }
+
+    /**
+     * moves the clock forward
+     * @param {number} seconds the time in seconds to move the clock forward
+     */
+    advance(seconds) {
+        this._time += seconds;
+    }
+}
+
+/**
+ * updates the game in fixed time steps, so that movement and collision detection behaves the same regardless of frame rate,
+ * and renders it with the fraction of a time step left over, so that movement can be interpolated.
+ */
+class GameLoop {
+    /**
+     * @param {Object} param
+     * @param {PerformanceClock|ManualClock} param.clock the clock to read the time from
+     * @param {function(number)} param.update the function updating the game by the provided time step in seconds
+     * @param {function(number)} param.render the function rendering the game, provided the fraction of a time step left over
+     * @param {number} param.timeStep the time in seconds simulated by each update
+     * @param {number} param.maxFrameTime the maximum time in seconds simulated per tick,
+     *      limiting how much the game catches up after a pause, e.g. when returning to a background tab
+     */
+    constructor({clock = new PerformanceClock(), update, render = () => {}, timeStep = 1 / 60, maxFrameTime = 0.25}) {
+        if (!update) throw new Error("an update function is required");
+        /** @private */
+        this._clock = clock;
+        /** @private */
+        this._update = update;
+        /** @private */
+        this._render = render;
+        /**
+         * @description the time in seconds simulated by each update
+         * @type {number}
+         */
+        this.timeStep = timeStep;
+        /**
+         * @description the maximum time in seconds simulated per tick
+         * @type {number}
+         */
+        this.maxFrameTime = maxFrameTime;
+        /**
+         * @description the time read from the clock on the previous tick
+         * @type {number}
+         * @private
+         */
+        this._lastTime = clock.now();
+        /**
+         * @description the time in seconds that has passed, but has not yet been simulated by an update
+         * @type {number}
+         * @private
+         */
+        this._accumulator = 0;
+    }
+
+    /**
+     * performs an update for each full time step that has passed since the previous tick,
+     * carrying the remaining time over to the next tick, and renders the game
+     */
+    tick() {
+        const now = this._clock.now();
+        this._accumulator += Math.min(now - this._lastTime, this.maxFrameTime);
+        this._lastTime = now;
+        while (this._accumulator >= this.timeStep) {
+            this._update(this.timeStep);
+            this._accumulator -= this.timeStep;
+        }
+        this._render(this._accumulator / this.timeStep);
+    }
+}
@@ -0,0 +1,54 @@
+/* manifest.js
+ * This file provides the manifest of the assets loaded before the game starts, in the format documented in resources.js.
+ * Adding an image, sound or level file to the game means adding an entry for it here.
+ */
+
+"use strict";
+
+/**
+ * the assets of the game, loaded by Resources.loadManifest when the page is loaded.
+ * the images and sprite sheets are required to play, while the game starts without the sounds if they fail to load.
+ * levels listed here are loaded from JSON files in the level format documented in levelloader.js, and played after the levels in levels.js
+ * @type {Object[]}
+ */
+const ASSET_MANIFEST = [
+    { type: "image", url: "images/road.png" },
+    { type: "image", url: "images/water.png" },
+    { type: "image", url: "images/grass.png" },
+    { type: "image", url: "images/goal.png" },
+    { type: "image", url: "images/stone.png" },
+    { type: "image", url: "images/mud.png" },
+    { type: "image", url: "images/ice.png" },
+    { type: "image", url: "images/hedge.png" },
+    { type: "image", url: "images/diamond.png" },
+    { type: "image", url: "images/diamond-emerald.png" },
+    { type: "image", url: "images/diamond-topaz.png" },
+    { type: "image", url: "images/bonus.png" },
+    { type: "image", url: "images/powerup-slow.png" },
+    { type: "image", url: "images/powerup-shield.png" },
+    { type: "image", url: "images/powerup-multiplier.png" },
+    { type: "image", url: "images/powerup-freeze.png" },
+    { type: "image", url: "images/powerup-life.png" },
+    { type: "spriteSheet", url: "images/enemy-right-sheet.png", frameWidth: 101, frameHeight: 171, frames: 4 },
+    { type: "spriteSheet", url: "images/enemy-left-sheet.png", frameWidth: 101, frameHeight: 171, frames: 4 },
+    { type: "spriteSheet", url: "images/car-right-sheet.png", frameWidth: 101, frameHeight: 171, frames: 4 },
+    { type: "spriteSheet", url: "images/car-left-sheet.png", frameWidth: 101, frameHeight: 171, frames: 4 },
+    { type: "spriteSheet", url: "images/truck-right-sheet.png", frameWidth: 101, frameHeight: 171, frames: 2 },
+    { type: "spriteSheet", url: "images/truck-left-sheet.png", frameWidth: 101, frameHeight: 171, frames: 2 },
+    { type: "spriteSheet", url: "images/racer-right-sheet.png", frameWidth: 101, frameHeight: 171, frames: 4 },
+    { type: "spriteSheet", url: "images/racer-left-sheet.png", frameWidth: 101, frameHeight: 171, frames: 4 },
+    { type: "spriteSheet", url: "images/snake-right-sheet.png", frameWidth: 101, frameHeight: 171, frames: 4 },
+    { type: "spriteSheet", url: "images/snake-left-sheet.png", frameWidth: 101, frameHeight: 171, frames: 4 },
+    { type: "spriteSheet", url: "images/chaser-right-sheet.png", frameWidth: 101, frameHeight: 171, frames: 4 },
+    { type: "spriteSheet", url: "images/chaser-left-sheet.png", frameWidth: 101, frameHeight: 171, frames: 4 },
+    { type: "spriteSheet", url: "images/player-sheet.png", frameWidth: 101, frameHeight: 171, frames: 4 },
+    { type: "spriteSheet", url: "images/blood-left-sheet.png", frameWidth: 101, frameHeight: 171, frames: 4 },
+    { type: "spriteSheet", url: "images/blood-right-sheet.png", frameWidth: 101, frameHeight: 171, frames: 4 },
+    { type: "spriteSheet", url: "images/log-sheet.png", frameWidth: 101, frameHeight: 171, frames: 3 },
+    { type: "spriteSheet", url: "images/turtle-sheet.png", frameWidth: 101, frameHeight: 171, frames: 4 },
+    { type: "sound", name: "hop", url: "sounds/hop.wav", optional: true },
+    { type: "sound", name: "diamond", url: "sounds/diamond.wav", optional: true },
+    { type: "sound", name: "collision", url: "sounds/collision.wav", optional: true },
+    { type: "sound", name: "water", url: "sounds/water.wav", optional: true },
+    { type: "sound", name: "music", url: "sounds/music.wav", optional: true }
+];
@@ -0,0 +1,272 @@
+/* renderer.js
+ * This file provides the renderers that the board, its entities and the game states draw themselves with.
+ * The canvas renderer draws on an HTML5 canvas in the browser, while the null renderer draws nothing,
+ * which allows the game to be simulated headlessly, e.g. in Node.
+ *
+ * A renderer has named layers, each drawn with its own renderer on an offscreen canvas, which are composited onto the screen in order.
+ * A layer keeps its content until it is cleared, so content that rarely changes, e.g. the background tiles, 
+ * can be drawn once and reused, using the cache key of the layer to tell what it currently holds.
+ *
+ * Everything is drawn in board space, i.e. in the pixels of the images, regardless of the size of the canvas on the screen.
+ * The resolution of a canvas renderer sets how many canvas pixels a board pixel covers, so the board can be scaled to fit the screen,
+ * and drawn sharply on screens with a high device pixel ratio, see scaler.js.
+ */
+
+"use strict";
+
+/**
+ * renders the game on an HTML5 canvas using images loaded by Resources
+ */
+class CanvasRenderer {
+    /**
+     * @param {CanvasRenderingContext2D} ctx the 2D context of the canvas to render on
+     */
+    constructor(ctx) {
+        if (!ctx) throw new Error("a canvas context is required");
+        /**
+         * @description the 2D context of the canvas to render on
+         * @type {CanvasRenderingContext2D}
+         * @private
+         */
+        this._ctx = ctx;
+        /**
+         * @description the width in board pixels of the area rendered on
+         * @type {number}
+         * @private
+         */
+        this._width = ctx.canvas.width;
+        /**
+         * @description the height in board pixels of the area rendered on
+         * @type {number}
+         * @private
+         */
+        this._height = ctx.canvas.height;
+        /**
+         * @description the number of canvas pixels per board pixel, in each direction
+         * @type {number}
+         * @private
+         */
+        this._resolution = 1;
+        /**
+         * @description the renderers of the layers by name, each rendering on its own offscreen canvas
+         * @type {Map.<string, CanvasRenderer>}
+         * @private
+         */
+        this._layers = new Map();
+        /**
+         * @description identifies what the canvas currently holds, null if its content is unknown, e.g. after it has been resized.
+         *      set by the code drawing on a layer, so the content can be reused as long as it is what is to be drawn
+         * @type {*}
+         */
+        this.cacheKey = null;
+    }
+
+    /**
+     * @returns {number} the width in board pixels of the area rendered on
+     */
+    get width() {
+        return this._width;
+    }
+
+    /**
+     * @returns {number} the height in board pixels of the area rendered on
+     */
+    get height() {
+        return this._height;
+    }
+
+    /**
+     * @returns {number} the number of canvas pixels per board pixel
+     */
+    get resolution() {
+        return this._resolution;
+    }
+
+    /**
+     * resizes the area rendered on
+     * @param {number} width the new width in board pixels
+     * @param {number} height the new height in board pixels
+     */
+    resize(width, height) {
+        this._width = width;
+        this._height = height;
+        this._resizeCanvas();
+        this._layers.forEach(layer => layer.resize(width, height));
+    }
+
+    /**
+     * changes the number of canvas pixels per board pixel, e.g. the scale of the board on the screen times the device pixel ratio
+     * @param {number} resolution the number of canvas pixels per board pixel
+     */
+    setResolution(resolution) {
+        if (!(resolution > 0)) throw new Error("the resolution must be greater than 0");
+        this._resolution = resolution;
+        this._resizeCanvas();
+        this._layers.forEach(layer => layer.setResolution(resolution));
+    }
+
+    /**
+     * sizes the canvas to hold the area rendered on at the resolution, and scales drawing from board pixels to canvas pixels
+     * @private
+     */
+    _resizeCanvas() {
+        this._ctx.canvas.width = Math.round(this._width * this._resolution);
+        this._ctx.canvas.height = Math.round(this._height * this._resolution);
+        this._ctx.setTransform(this._resolution, 0, 0, this._resolution, 0, 0);
+        //resizing a canvas clears it
+        this.cacheKey = null;
+    }
+
+    /**
+     * gets the renderer of a named layer, creating the layer with the dimensions of this renderer if it does not exist
+     * @param {string} name the name of the layer
+     * @returns {CanvasRenderer} the renderer drawing on the offscreen canvas of the layer
+     */
+    layer(name) {
+        if (!this._layers.has(name)) {
+            const canvas = this._ctx.canvas.ownerDocument.createElement("canvas");
+            const layer = new CanvasRenderer(canvas.getContext("2d"));
+            layer.resize(this.width, this.height);
+            layer.setResolution(this._resolution);
+            this._layers.set(name, layer);
+        }
+        return this._layers.get(name);
+    }
+
+    /**
+     * draws the content of layers onto the canvas of this renderer
+     * @param {string[]} names the names of the layers, in the order they are to be drawn, i.e. from the back to the front
+     */
+    composite(names) {
+        //the canvases of the layers have the same size in canvas pixels, so they are copied without scaling
+        this._ctx.save();
+        this._ctx.setTransform(1, 0, 0, 1, 0, 0);
+        names.forEach(name => this._ctx.drawImage(this.layer(name)._ctx.canvas, 0, 0));
+        this._ctx.restore();
+    }
+
+    /**
+     * clears the area rendered on
+     */
+    clear() {
+        this._ctx.clearRect(0, 0, this.width, this.height);
+    }
+
+    /**
+     * draws an image, or a frame of a sprite sheet, with its top left corner at the specified position
+     * @param {string} sprite the relative path to the image, which must have been loaded by Resources
+     * @param {number} x the horizontal position to draw the image at
+     * @param {number} y the vertical position to draw the image at
+     * @param {Object} options
+     * @param {Area} options.frame the area of the frame within the sprite sheet to draw, the whole image is drawn if not provided
+     * @param {number} options.opacity the opacity to draw the image with, from 0 (invisible) to 1 (opaque)
+     */
+    drawSprite(sprite, x, y, {frame = null, opacity = 1} = {}) {
+        const image = Resources.get(sprite);
+        this._ctx.save();
+        this._ctx.globalAlpha = opacity;
+        if (frame) {
+            this._ctx.drawImage(image, frame.position.x, frame.position.y, frame.width, frame.height, x, y, frame.width, frame.height);
+        } else {
+            this._ctx.drawImage(image, x, y);
+        }
+        this._ctx.restore();
+    }
+
+    /**
+     * draws a line of text
+     * @param {string} text the text to draw
+     * @param {number} x the horizontal position of the text, its meaning depends on the alignment
+     * @param {number} y the vertical position of the baseline of the text
+     * @param {Object} style
+     * @param {string} style.font the CSS font of the text
+     * @param {string} style.color the CSS color of the text
+     * @param {string} style.align the horizontal alignment of the text relative to x, "left", "center" or "right"
+     */
+    drawText(text, x, y, {font = "30px arial", color = "black", align = "left"} = {}) {
+        this._ctx.save();
+        this._ctx.font = font;
+        this._ctx.fillStyle = color;
+        this._ctx.textAlign = align;
+        this._ctx.fillText(text, x, y);
+        this._ctx.restore();
+    }
+
+    /**
+     * fills a rectangle with a color
+     * @param {number} x the horizontal position of the top left corner
+     * @param {number} y the vertical position of the top left corner
+     * @param {number} width the width of the rectangle
+     * @param {number} height the height of the rectangle
+     * @param {string} color the CSS color to fill the rectangle with
+     */
+    fillRect(x, y, width, height, color) {
+        this._ctx.save();
+        this._ctx.fillStyle = color;
+        this._ctx.fillRect(x, y, width, height);
+        this._ctx.restore();
+    }
+}
+
+/**
+ * a renderer that draws nothing, used when the game is simulated without a screen
+ */
+class NullRenderer {
+    /**
+     * @param {number} width the width in pixels of the imaginary area rendered on
+     * @param {number} height the height in pixels of the imaginary area rendered on
+     */
+    constructor(width = 0, height = 0) {
+        /** @type {number} */
+        this.width = width;
+        /** @type {number} */
+        this.height = height;
+        /**
+         * @description the renderers of the layers by name
+         * @type {Map.<string, NullRenderer>}
+         * @private
+         */
+        this._layers = new Map();
+        /** @type {*} */
+        this.cacheKey = null;
+        /** @type {number} */
+        this.resolution = 1;
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.cacheKey = null;
+        this._layers.forEach(layer => layer.resize(width, height));
+    }
+
+    setResolution(resolution) {
+        this.resolution = resolution;
+        this.cacheKey = null;
+        this._layers.forEach(layer => layer.setResolution(resolution));
+    }
+
+    layer(name) {
+        if (!this._layers.has(name)) {
+            const layer = new NullRenderer(this.width, this.height);
+            layer.setResolution(this.resolution);
+            this._layers.set(name, layer);
+        }
+        return this._layers.get(name);
+    }
+
+    composite(names) {
+    }
+
+    clear() {
+    }
+
+    drawSprite(sprite, x, y, options) {
+    }
+
+    drawText(text, x, y, style) {
+    }
+
+    fillRect(x, y, width, height, color) {
+    }
+}
@@ -0,0 +1,158 @@
+/* replay.js
+ * This file provides the recording and playback of games.
+ * A replay holds the seed of a game and every input command given during it, numbered by the update (tick) it was given before.
+ * Because the boards are generated from the seed and updated in fixed time steps, feeding the commands back
+ * before the same updates reproduces the game exactly, including the score.
+ *
+ * Replays are exported as JSON in the following format:
+ *
+ *  {
+ *      "version": 1,
+ *      "seed": 1234567,                                //the seed the game was played with
+ *      "inputs": [                                     //the input commands in the order they were given
+ *          { "tick": 0, "command": "up" },             //tick is the number of updates performed before the command was given
+ *          { "tick": 42, "command": "left" }
+ *      ],
+ *      "result": {                                     //how the game ended, null while it is being recorded
+ *          "outcome": "gameover",                      //"gameover" or "victory"
+ *          "score": 7,
+ *          "level": 2,                                 //the number of the level the game ended on
+ *          "ticks": 3600                               //the number of updates performed during the game
+ *      }
+ *  }
+ */
+
+"use strict";
+
+/**
+ * the seed and input commands of a game, which reproduce the game when played back
+ */
+class Replay {
+    /**
+     * @param {Object} param
+     * @param {number} param.seed the seed the game is played with
+     * @param {{tick: number, command: string}[]} param.inputs the input commands given during the game
+     * @param {{outcome: string, score: number, level: number, ticks: number}} param.result how the game ended, null if it has not ended
+     */
+    constructor({seed, inputs = [], result = null}) {
+        if (!Number.isInteger(seed)) throw new Error("a replay requires an integer seed");
+        /**
+         * @description the seed the game is played with
+         * @type {number}
+         */
+        this.seed = seed;
+        /**
+         * @description the input commands given during the game, in the order they were given
+         * @type {{tick: number, command: string}[]}
+         */
+        this.inputs = inputs;
+        /**
+         * @description how the game ended, null if it has not ended yet
+         * @type {{outcome: string, score: number, level: number, ticks: number}}
+         */
+        this.result = result;
+    }
+
+    /**
+     * @returns {number} the version of the replay format written by this code
+     */
+    static get version() {
+        return 1;
+    }
+
+    /**
+     * @returns {boolean} true if the game has ended, so no more input commands are recorded
+     */
+    get isFinished() {
+        return this.result !== null;
+    }
+
+    /**
+     * records an input command
+     * @param {number} tick the number of updates performed in the game before the command was given
+     * @param {string} command the input command
+     */
+    record(tick, command) {
+        if (this.isFinished) throw new Error("the game of the replay has already ended");
+        this.inputs.push({tick: tick, command: command});
+    }
+
+    /**
+     * ends the recording with the result of the game
+     * @param {{outcome: string, score: number, level: number, ticks: number}} result how the game ended
+     */
+    finish(result) {
+        this.result = result;
+    }
+
+    /**
+     * @returns {Object} the replay in the JSON replay format, called by JSON.stringify
+     */
+    toJSON() {
+        return {version: Replay.version, seed: this.seed, inputs: this.inputs, result: this.result};
+    }
+
+    /**
+     * parses and checks a replay in the JSON replay format
+     * @param {Object|string} json the replay, either as JSON text or as an already parsed object
+     * @returns {Replay} the replay
+     * @throws {Error} if the replay is not valid JSON or does not conform to the JSON replay format
+     */
+    static parse(json) {
+        const data = typeof json === "string" ? JSON.parse(json) : json;
+        if (!data || typeof data !== "object") throw new Error("a replay must be an object");
+        if (data.version !== Replay.version) throw new Error(`replay version ${data.version} is not supported, expected version ${Replay.version}`);
+        if (!Array.isArray(data.inputs)) throw new Error("the inputs of a replay must be an array");
+        data.inputs.forEach((input, index) => {
+            if (!input || !Number.isInteger(input.tick) || input.tick < 0 || typeof input.command !== "string") {
+                throw new Error(`input ${index} of the replay must have a non-negative integer tick and a command`);
+            }
+            if (index > 0 && input.tick < data.inputs[index - 1].tick) throw new Error(`input ${index} of the replay is out of order`);
+        });
+        return new Replay({seed: data.seed, inputs: data.inputs.map(input => ({tick: input.tick, command: input.command})), result: data.result || null});
+    }
+}
+
+/**
+ * feeds the input commands of a replay back in the order and at the ticks they were recorded
+ */
+class ReplayPlayer {
+    /**
+     * @param {Replay} replay the replay to play back
+     */
+    constructor(replay) {
+        if (!replay) throw new Error("a replay is required");
+        /**
+         * @description the replay being played back
+         * @type {Replay}
+         */
+        this.replay = replay;
+        /**
+         * @description the index of the next input command to feed back
+         * @type {number}
+         * @private
+         */
+        this._nextInput = 0;
+    }
+
+    /**
+     * @returns {boolean} true if all input commands of the replay have been fed back
+     */
+    get isFinished() {
+        return this._nextInput >= this.replay.inputs.length;
+    }
+
+    /**
+     * takes the input commands that were given before the specified update
+     * @param {number} tick the number of updates performed in the game
+     * @returns {string[]} the input commands given at the tick, in the order they were given
+     */
+    commandsAt(tick) {
+        const commands = [];
+        const inputs = this.replay.inputs;
+        while (this._nextInput < inputs.length && inputs[this._nextInput].tick <= tick) {
+            commands.push(inputs[this._nextInput++].command);
+        }
+        return commands;
+    }
+}
@@ -1,83 +1,231 @@
 /* Resources.js
- * This is simply an image loading utility. It eases the process of loading
- * image files so that they can be used within your game. It also includes
- * a simple "caching" layer so it will reuse cached images if you attempt
- * to load the same image multiple times.
+ * This is simply an asset loading utility. It eases the process of loading
+ * the images, sprite sheets, sounds and levels of the game so that they can
+ * be used within your game. It also includes a simple "caching" layer so it
+ * will reuse cached assets if you attempt to load the same asset multiple times.
+ *
+ * The assets of the game are listed in a manifest (see manifest.js), an array
+ * of entries each describing an asset by its type and url:
+ *
+ *  [
+ *      { "type": "image", "url": "images/road.png" },
+ *      { "type": "spriteSheet", "url": "images/player-sheet.png",  //an image holding the frames of animations side by side,
+ *        "frameWidth": 101, "frameHeight": 171, "frames": 4 },     //checked to hold the number of frames of the size
+ *      { "type": "json", "url": "data/settings.json" },
+ *      { "type": "sound", "name": "hop", "url": "sounds/hop.wav",  //sounds and levels are loaded by the loaders registered
+ *        "optional": true },                                       //for them in engine.js. the game starts without optional
+ *      { "type": "level", "url": "levels/bonus.json" }             //assets that failed to load
+ *  ]
+ *
+ * Loading the manifest returns a Promise, reports the progress while loading,
+ * and retries assets that fail or take too long to load before reporting them
+ * as failed.
  */
 (function() {
     var resourceCache = {};
+    var pendingLoads = {};
     var readyCallbacks = [];
 
+    /* The functions loading each type of asset. Each is passed the manifest
+     * entry of an asset and returns a Promise resolved with the loaded asset.
+     * More types can be added with registerLoader().
+     */
+    var loaders = {
+        image: function(entry) {
+            return loadImage(entry.url);
+        },
+        spriteSheet: function(entry) {
+            return loadImage(entry.url).then(function(img) {
+                /* A sprite sheet holding fewer frames than described would
+                 * draw empty frames, so it is reported as failed instead.
+                 */
+                var frames = entry.frames || 1;
+                if (img.width < entry.frameWidth * frames || img.height < entry.frameHeight) {
+                    throw new Error('the sprite sheet is ' + img.width + 'x' + img.height + ', which does not hold ' +
+                                    frames + ' frames of ' + entry.frameWidth + 'x' + entry.frameHeight);
+                }
+                return img;
+            });
+        },
+        json: function(entry) {
+            return fetch(entry.url).then(function(response) {
+                if (!response.ok) throw new Error('the server responded with status ' + response.status);
+                return response.json();
+            });
+        }
+    };
+
     /* This is the publicly accessible image loading function. It accepts
      * an array of strings pointing to image files or a string for a single
-     * image. It will then call our private image loading function accordingly.
+     * image. It will then call our private image loader accordingly. It
+     * returns a Promise resolved when the images have been loaded, and
+     * rejected if any of them fails to load.
      */
     function load(urlOrArr) {
-        if(urlOrArr instanceof Array) {
-            /* If the developer passed in an array of images
-             * loop through each value and call our image
-             * loader on that image file
-             */
-            urlOrArr.forEach(function(url) {
-                _load(url);
+        var urls = urlOrArr instanceof Array ? urlOrArr : [urlOrArr];
+        return Promise.all(urls.map(function(url) {
+            return _load({type: 'image', url: url});
+        }));
+    }
+
+    /* This function loads all assets listed in a manifest. Each asset that
+     * fails to load, or has not loaded within the timeout in seconds, is
+     * retried the provided number of times, waiting a little longer before
+     * each retry. onProgress is called whenever an asset
+     * has loaded or finally failed, with the number of assets loaded and
+     * failed so far and the total number of assets. The returned Promise is
+     * always resolved, with the entries that loaded and the entries that
+     * failed along with the error they failed with.
+     */
+    function loadManifest(manifest, options) {
+        options = options || {};
+        var retries = options.retries === undefined ? 2 : options.retries;
+        var retryDelay = options.retryDelay === undefined ? 0.5 : options.retryDelay;
+        var timeout = options.timeout === undefined ? 10 : options.timeout;
+        var onProgress = options.onProgress || function() {};
+        var progress = {loaded: 0, failed: 0, total: manifest.length};
+        var loaded = [];
+        var failed = [];
+        onProgress(progress);
+        return Promise.all(manifest.map(function(entry) {
+            return _loadWithRetries(entry, retries, retryDelay, timeout)
+                .then(function() {
+                    loaded.push(entry);
+                    progress.loaded++;
+                }, function(error) {
+                    console.warn('the ' + entry.type + ' \'' + entry.url + '\' could not be loaded: ' + error.message);
+                    failed.push({entry: entry, error: error});
+                    progress.failed++;
+                })
+                .then(function() {
+                    onProgress(progress);
+                });
+        })).then(function() {
+            return {loaded: loaded, failed: failed};
+        });
+    }
+
+    /* This function loads an asset, trying again after a delay each time it
+     * fails until it has been tried one more time than the number of retries.
+     */
+    function _loadWithRetries(entry, retries, retryDelay, timeout, attempt) {
+        attempt = attempt || 1;
+        return _load(entry, timeout).catch(function(error) {
+            if (attempt > retries) throw error;
+            return new Promise(function(resolve) {
+                setTimeout(resolve, retryDelay * attempt * 1000);
+            }).then(function() {
+                return _loadWithRetries(entry, retries, retryDelay, timeout, attempt + 1);
             });
-        } else {
-            /* The developer did not pass an array to this function,
-             * assume the value is a string and call our image loader
-             * directly.
-             */
-            _load(urlOrArr);
-        }
+        });
     }
 
-    /* This is our private image loader function, it is
-     * called by the public image loader function.
+    /* This is our private asset loader function, it is called by the public
+     * loading functions. It returns a Promise resolved with the asset, or
+     * rejected if the asset fails to load or, with a timeout in seconds
+     * provided, has not loaded in time.
      */
-    function _load(url) {
-        if(resourceCache[url]) {
+    function _load(entry, timeout) {
+        if(resourceCache[entry.url]) {
             /* If this URL has been previously loaded it will exist within
-             * our resourceCache array. Just return that image rather than
-             * re-loading the image.
+             * our resourceCache array. Just return that asset rather than
+             * re-loading it.
              */
-            return resourceCache[url];
-        } else {
-            /* This URL has not been previously loaded and is not present
-             * within our cache; we'll need to load this image.
+            return Promise.resolve(resourceCache[entry.url]);
+        }
+        if(pendingLoads[entry.url]) {
+            /* If this URL is being loaded, wait for that load to finish
+             * rather than requesting the asset a second time.
              */
-            var img = new Image();
-            img.onload = function() {
-                /* Once our image has properly loaded, add it to our cache
-                 * so that we can simply return this image if the developer
+            return pendingLoads[entry.url];
+        }
+        var loader = loaders[entry.type];
+        if (!loader) return Promise.reject(new Error('there is no loader for assets of type \'' + entry.type + '\''));
+
+        /* Set the initial cache value to false, this will change when the
+         * asset has been loaded, or be removed again if it fails to load,
+         * so a later attempt loads it again.
+         */
+        resourceCache[entry.url] = false;
+        var loading = Promise.resolve().then(function() {
+            return loader(entry);
+        });
+        var pending = _withTimeout(loading, timeout)
+            .then(function(asset) {
+                delete pendingLoads[entry.url];
+
+                /* Once our asset has properly loaded, add it to our cache
+                 * so that we can simply return this asset if the developer
                  * attempts to load this file in the future.
                  */
-                resourceCache[url] = img;
+                resourceCache[entry.url] = asset === undefined ? true : asset;
 
-                /* Once the image is actually loaded and properly cached,
+                /* Once the asset is actually loaded and properly cached,
                  * call all of the onReady() callbacks we have defined.
                  */
                 if(isReady()) {
                     readyCallbacks.forEach(function(func) { func(); });
                 }
-            };
+                return resourceCache[entry.url];
+            }, function(error) {
+                delete pendingLoads[entry.url];
+                delete resourceCache[entry.url];
+                throw error;
+            });
+        pendingLoads[entry.url] = pending;
+        return pending;
+    }
 
-            /* Set the initial cache value to false, this will change when
-             * the image's onload event handler is called. Finally, point
-             * the image's src attribute to the passed in URL.
-             */
-            resourceCache[url] = false;
+    /* This function returns a Promise settled like the provided Promise, or
+     * rejected if it has not settled within the timeout in seconds. A load
+     * that has timed out is given up, and an asset arriving after all is
+     * ignored, as a retry loads it anew.
+     */
+    function _withTimeout(promise, timeout) {
+        if (!(timeout > 0)) return promise;
+        return new Promise(function(resolve, reject) {
+            var timer = setTimeout(function() {
+                reject(new Error('the asset did not load within ' + timeout + ' seconds'));
+            }, timeout * 1000);
+            promise.then(resolve, reject).then(function() {
+                clearTimeout(timer);
+            });
+        });
+    }
+
+    /* This function loads an image. An image that fails to load fires its
+     * onerror handler rather than its onload handler, which rejects the
+     * returned Promise.
+     */
+    function loadImage(url) {
+        return new Promise(function(resolve, reject) {
+            var img = new Image();
+            img.onload = function() {
+                resolve(img);
+            };
+            img.onerror = function() {
+                reject(new Error('the image could not be loaded or decoded'));
+            };
             img.src = url;
-        }
+        });
+    }
+
+    /* This function adds or replaces the loader of a type of asset, a
+     * function that is passed the manifest entry of an asset and returns
+     * a Promise resolved with the loaded asset.
+     */
+    function registerLoader(type, loader) {
+        loaders[type] = loader;
     }
 
-    /* This is used by developers to grab references to images they know
-     * have been previously loaded. If an image is cached, this functions
-     * the same as calling load() on that URL.
+    /* This is used by developers to grab references to assets they know
+     * have been previously loaded, by the url they were loaded from.
      */
     function get(url) {
         return resourceCache[url];
     }
 
-    /* This function determines if all of the images that have been requested
+    /* This function determines if all of the assets that have been requested
      * for loading have in fact been properly loaded.
      */
     function isReady() {
@@ -92,7 +240,7 @@
     }
 
     /* This function will add a function to the callback stack that is called
-     * when all requested images are properly loaded.
+     * when all requested assets are properly loaded.
      */
     function onReady(func) {
         readyCallbacks.push(func);
@@ -103,6 +251,8 @@
      */
     window.Resources = {
         load: load,
+        loadManifest: loadManifest,
+        registerLoader: registerLoader,
         get: get,
         onReady: onReady,
         isReady: isReady
@@ -0,0 +1,118 @@
+/* scaler.js
+ * This file provides the scaling of the canvas to the screen.
+ * The board is scaled to fill the element containing the canvas while keeping its aspect ratio,
+ * and is rendered at the device pixel ratio of the screen, so it is drawn sharply on high-DPI screens.
+ * Points on the screen, e.g. of touches, are mapped back into board space, i.e. the pixels of the images the board is drawn with.
+ */
+
+"use strict";
+
+/**
+ * scales a canvas to fit its container and maps points on the screen into board space
+ */
+class CanvasScaler {
+    /**
+     * @param {Object} param
+     * @param {HTMLCanvasElement} param.canvas the canvas to scale
+     * @param {HTMLElement} param.container the element the canvas is scaled to fit
+     * @param {CanvasRenderer} param.renderer the renderer drawing on the canvas, which holds the size of the board
+     * @param {Window} param.win the window to read the device pixel ratio from and listen for resizing on
+     */
+    constructor({canvas, container, renderer, win}) {
+        if (!canvas) throw new Error("a canvas is required");
+        if (!container) throw new Error("a container is required");
+        if (!renderer) throw new Error("a renderer is required");
+        if (!win) throw new Error("a window is required");
+        /**
+         * @description the canvas to scale
+         * @type {HTMLCanvasElement}
+         * @private
+         */
+        this._canvas = canvas;
+        /**
+         * @description the element the canvas is scaled to fit
+         * @type {HTMLElement}
+         * @private
+         */
+        this._container = container;
+        /**
+         * @description the renderer drawing on the canvas
+         * @type {CanvasRenderer}
+         * @private
+         */
+        this._renderer = renderer;
+        /**
+         * @description the window the device pixel ratio is read from
+         * @type {Window}
+         * @private
+         */
+        this._win = win;
+        /**
+         * @description the number of CSS pixels a board pixel covers on the screen
+         * @type {number}
+         */
+        this.scale = 1;
+    }
+
+    /**
+     * starts fitting the canvas whenever the window is resized or the device pixel ratio changes,
+     * e.g. when the browser is zoomed or the window is moved to another screen
+     */
+    listen() {
+        this._win.addEventListener("resize", () => this.fit());
+        this._listenForPixelRatio();
+    }
+
+    /**
+     * scales the canvas to fill its container while keeping the aspect ratio of the board,
+     * and sets the resolution of the renderer to draw a canvas pixel for each device pixel
+     */
+    fit() {
+        const width = this._renderer.width;
+        const height = this._renderer.height;
+        if (!width || !height) return;
+        const availableWidth = this._container.clientWidth || width;
+        const availableHeight = this._container.clientHeight || height;
+        this.scale = Math.min(availableWidth / width, availableHeight / height);
+        this._canvas.style.width = `${Math.floor(width * this.scale)}px`;
+        this._canvas.style.height = `${Math.floor(height * this.scale)}px`;
+        this._renderer.setResolution(this.scale * (this._win.devicePixelRatio || 1));
+    }
+
+    /**
+     * maps a point on the screen into board space, points outside the canvas are mapped beyond the edges of the board
+     * @param {number} clientX the x coordinate of the point relative to the viewport, e.g. of a touch
+     * @param {number} clientY the y coordinate of the point relative to the viewport
+     * @returns {Point} the point in board space
+     */
+    toBoardPoint(clientX, clientY) {
+        const bounds = this.canvasArea;
+        if (!bounds.width || !bounds.height) return new Point(clientX, clientY);
+        return new Point((clientX - bounds.topLeft.x) * this._renderer.width / bounds.width,
+                         (clientY - bounds.topLeft.y) * this._renderer.height / bounds.height);
+    }
+
+    /**
+     * @returns {Area} the area the canvas covers on the screen, relative to the viewport
+     */
+    get canvasArea() {
+        const bounds = this._canvas.getBoundingClientRect();
+        return new Area(new Point(bounds.left, bounds.top), new Dimensions(bounds.width, bounds.height));
+    }
+
+    /**
+     * fits the canvas when the device pixel ratio changes, which does not always resize the window
+     * @private
+     */
+    _listenForPixelRatio() {
+        if (!this._win.matchMedia) return;
+        //a media query only matches the current ratio, so it is replaced with one for the new ratio whenever it changes
+        const query = this._win.matchMedia(`(resolution: ${this._win.devicePixelRatio || 1}dppx)`);
+        const onChange = () => {
+            query.removeEventListener("change", onChange);
+            this.fit();
+            this._listenForPixelRatio();
+        };
+        query.addEventListener("change", onChange);
+    }
+}
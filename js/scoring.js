@@ -0,0 +1,198 @@
+/* scoring.js
+ * This file provides the scoring subsystem of the board: the itemised breakdown of how a score was made,
+ * and the score keeper tracking what earns points beyond picking things up, which are
+ *  - a countdown timer started with each attempt at a crossing, the time left when the crossing is completed is awarded as a time bonus,
+ *  - forward progress, each row reached closer to the goal than before during a crossing scores once,
+ *  - combos, each diamond picked up in a chain of diamonds without losing a life is worth more than the one before, up to a maximum.
+ * The board applies the points through Board.addScore, which records them in the breakdown under the name of their scoring rule,
+ * so a results screen can show what the score is made of.
+ */
+
+"use strict";
+
+/**
+ * the itemised points making up a score, by the name of the scoring rule they were awarded by, e.g. "diamond" or "truck"
+ */
+class ScoreBreakdown {
+    constructor() {
+        /**
+         * @description the number of times points were awarded and their sum by the name of the item, in the order the items were first scored
+         * @type {Map.<string, {count: number, points: number}>}
+         * @private
+         */
+        this._items = new Map();
+    }
+
+    /**
+     * @returns {Object.<string, string>} the names items are shown by on a results screen, by the name of their scoring rule
+     */
+    static get labels() {
+        return {
+            water: "crossings", bay: "bays filled", bonus: "bonus items", diamond: "diamonds", combo: "diamond combos",
+            progress: "forward progress", time: "time bonus", multiplier: "score multiplier",
+            enemy: "bug hits", car: "car hits", truck: "truck hits", racer: "racer hits", snake: "snake bites", chaser: "chaser hits", drown: "drownings"
+        };
+    }
+
+    /**
+     * records points awarded for an item
+     * @param {string} item the name of the scoring rule the points were awarded by
+     * @param {number} points the points, negative for points taken
+     */
+    add(item, points) {
+        const entry = this._items.get(item) || {count: 0, points: 0};
+        entry.count++;
+        entry.points += points;
+        this._items.set(item, entry);
+    }
+
+    /**
+     * records all items of another breakdown, e.g. to sum up the levels of a game
+     * @param {ScoreBreakdown} breakdown the other breakdown
+     */
+    merge(breakdown) {
+        breakdown.items.forEach(({item, count, points}) => {
+            const entry = this._items.get(item) || {count: 0, points: 0};
+            entry.count += count;
+            entry.points += points;
+            this._items.set(item, entry);
+        });
+    }
+
+    /**
+     * @returns {{item: string, label: string, count: number, points: number}[]} the items, in the order they were first scored
+     */
+    get items() {
+        return [...this._items].map(([item, {count, points}]) => ({item: item, label: ScoreBreakdown.labels[item] || item, count: count, points: points}));
+    }
+
+    /**
+     * @returns {number} the sum of the points of all items
+     */
+    get total() {
+        return this.items.reduce((total, entry) => total + entry.points, 0);
+    }
+
+    /**
+     * @returns {string[]} a line of text per item for a results screen, e.g. "diamonds x3  +5"
+     */
+    get lines() {
+        return this.items.map(entry => `${entry.label} x${entry.count}  ${entry.points > 0 ? "+" : ""}${entry.points}`);
+    }
+}
+
+/**
+ * keeps the crossing timer, the furthest row reached and the diamond combo of a board, and works out the points they earn
+ */
+class ScoreKeeper {
+    /**
+     * @param {Object} param
+     * @param {ScoringRules} param.rules the increments in the player score applying to the board
+     * @param {number} param.crossingTime the time in seconds the timer of a crossing counts down from
+     * @param {number} param.maxCombo the highest factor the points of a diamond are multiplied by in a combo, 1 if diamonds do not combo
+     * @param {number} param.startRow the zero-based index of the row the player starts each crossing on
+     */
+    constructor({rules, crossingTime = 30, maxCombo = 4, startRow}) {
+        if (!(crossingTime > 0)) throw new Error("the crossing time must be greater than 0");
+        if (!(maxCombo >= 1)) throw new Error("the maximum combo must be at least 1");
+        /**
+         * @description the increments in the player score applying to the board
+         * @type {ScoringRules}
+         */
+        this.rules = rules;
+        /**
+         * @description the time in seconds the timer of a crossing counts down from
+         * @type {number}
+         */
+        this.crossingTime = crossingTime;
+        /**
+         * @description the highest factor the points of a diamond are multiplied by in a combo
+         * @type {number}
+         */
+        this.maxCombo = maxCombo;
+        /**
+         * @description the zero-based index of the row the player starts each crossing on
+         * @type {number}
+         * @private
+         */
+        this._startRow = startRow;
+        /**
+         * @description the points awarded on the board, itemised by scoring rule
+         * @type {ScoreBreakdown}
+         */
+        this.breakdown = new ScoreBreakdown();
+        /**
+         * @description the time in seconds left on the timer of the current crossing, 0 when it has run out
+         * @type {number}
+         */
+        this.remainingTime = crossingTime;
+        /**
+         * @description the zero-based index of the row closest to the goal the player has reached during the current crossing
+         * @type {number}
+         */
+        this.furthestRow = startRow;
+        /**
+         * @description the number of diamonds picked up since the player last lost a life
+         * @type {number}
+         */
+        this.combo = 0;
+    }
+
+    /**
+     * @returns {number} the factor the points of the next diamond in the combo are multiplied by
+     */
+    get comboMultiplier() {
+        return Math.min(this.combo + 1, this.maxCombo);
+    }
+
+    /**
+     * counts down the timer of the crossing
+     * @param {number} dt the time in seconds since the last update
+     */
+    update(dt) {
+        this.remainingTime = Math.max(0, this.remainingTime - dt);
+    }
+
+    /**
+     * restarts the timer after the player has lost a life, and breaks the combo.
+     * rows already reached during the crossing do not score again
+     */
+    loseLife() {
+        this.remainingTime = this.crossingTime;
+        this.combo = 0;
+    }
+
+    /**
+     * completes the crossing, starting the timer and the rows scored anew for the next one
+     * @returns {number} the time bonus for the time left on the timer
+     */
+    completeCrossing() {
+        const bonus = Math.floor(this.remainingTime * this.rules.time);
+        this.remainingTime = this.crossingTime;
+        this.furthestRow = this._startRow;
+        return bonus;
+    }
+
+    /**
+     * registers the row the player has landed on
+     * @param {number} row the zero-based index of the row
+     * @returns {number} the points for the rows it is closer to the goal than any row reached before during the crossing, 0 if it is not
+     */
+    reachRow(row) {
+        if (row >= this.furthestRow) return 0;
+        const rows = this.furthestRow - row;
+        this.furthestRow = row;
+        return rows * this.rules.progress;
+    }
+
+    /**
+     * adds a diamond to the combo
+     * @param {number} value the points the diamond is worth on its own
+     * @returns {number} the extra points the diamond is worth in the combo, on top of its own
+     */
+    chainDiamond(value) {
+        const multiplier = this.comboMultiplier;
+        this.combo++;
+        return value > 0 ? value * (multiplier - 1) : 0;
+    }
+}
@@ -0,0 +1,644 @@
+/* states.js
+ * This file provides the game states, e.g. the title screen, playing and game over,
+ * and the state machine switching between them.
+ * The state machine is driven by the engine code in engine.js, which forwards updates, rendering and input to it.
+ */
+
+"use strict";
+
+/**
+ * represents a state of the game, e.g. the title screen or playing.
+ * a state decides how the game is updated, rendered and how it reacts to input while it is active.
+ * @abstract
+ */
+class GameState {
+    /**
+     * @param {GameStateMachine} machine the state machine that the state belongs to
+     */
+    constructor(machine) {
+        if (!machine) throw new Error("a state machine is required");
+        /**
+         * @description the state machine that the state belongs to
+         * @type {GameStateMachine}
+         * @protected
+         */
+        this._machine = machine;
+    }
+
+    /**
+     * @returns {Board} the board of the current game
+     */
+    get board() {
+        return this._machine.board;
+    }
+
+    /**
+     * called when the state becomes the active state
+     * @param {string} previousStateName the name of the state that was active before, if any
+     */
+    enter(previousStateName) {
+    }
+
+    /**
+     * called when the state stops being the active state
+     * @param {string} nextStateName the name of the state that is to become active
+     */
+    exit(nextStateName) {
+    }
+
+    /**
+     * updates the game while the state is active
+     * @param {number} dt the delta time calculated for the computing environment
+     */
+    update(dt) {
+    }
+
+    /**
+     * renders the game while the state is active
+     * @param {number} alpha the fraction of the time between the previous and the next update that has passed, used to interpolate movement
+     */
+    render(alpha) {
+    }
+
+    /**
+     * reacts to an input command while the state is active
+     * @param {string} command the input command, e.g. "left", "up", "right", "down", "start", "pause", "replay", "save" or "exportScores"
+     */
+    handleInput(command) {
+    }
+
+    /**
+     * renders the board as the last update left it, for states in which the board is not updated.
+     * interpolating towards an update that does not come would leave moving entities short of where they are
+     * @protected
+     */
+    _renderFrozenBoard() {
+        this.board.render(1);
+    }
+
+    /**
+     * renders a semi-transparent overlay covering the board with a title and a number of lines of text
+     * @param {string} title the title to render in the center of the board
+     * @param {Array.<string|{text: string, font: string, color: string}>} lines the lines of text to render below the title,
+     *      either as text or as text with its own font and color
+     * @param {Object} layout
+     * @param {number} layout.top the vertical position of the title, the title is rendered in the center of the board if not provided
+     * @param {number} layout.lineHeight the distance in pixels between two lines
+     * @protected
+     */
+    _renderOverlay(title, lines = [], {top = null, lineHeight = 34} = {}) {
+        const renderer = this.board.renderer;
+        const center = new Point(renderer.width / 2, renderer.height / 2);
+        const titleY = top === null ? center.y : top;
+        renderer.fillRect(0, 0, renderer.width, renderer.height, "rgba(0, 0, 0, 0.6)");
+        renderer.drawText(title, center.x, titleY, {font: "bold 48px arial", color: "white", align: "center"});
+        lines.forEach((line, index) => {
+            const {text, font = "24px arial", color = "white"} = typeof line === "string" ? {text: line} : line;
+            renderer.drawText(text, center.x, titleY + 50 + index * lineHeight, {font: font, color: color, align: "center"});
+        });
+    }
+}
+
+/**
+ * the title screen shown before a game has been started
+ */
+class TitleState extends GameState {
+    render(alpha) {
+        this._renderFrozenBoard();
+        this._renderOverlay("CROSS THE ROAD", ["press enter to start", "use the arrow keys or WASD to move, P to pause, M to mute"]);
+    }
+
+    handleInput(command) {
+        if (command === "start") this._machine.newGame();
+        if (command === "exportScores" && this._machine.highScores) this._machine.saveHighScores(this._machine.highScores);
+    }
+}
+
+/**
+ * the state of the game while it is being played
+ */
+class PlayingState extends GameState {
+    update(dt) {
+        this.board.update(dt);
+    }
+
+    render(alpha) {
+        this.board.render(alpha);
+    }
+
+    handleInput(command) {
+        switch (command) {
+            case "pause":
+                this._machine.changeState("paused");
+                break;
+            case "left":
+            case "up":
+            case "right":
+            case "down":
+                this.board.player.moveInGrid(command);
+                break;
+        }
+    }
+}
+
+/**
+ * the state of the game while it is paused. the board is rendered, but not updated.
+ */
+class PausedState extends GameState {
+    render(alpha) {
+        this._renderFrozenBoard();
+        this._renderOverlay("PAUSED", ["press P or enter to resume"]);
+    }
+
+    handleInput(command) {
+        if (command === "pause" || command === "start") this._machine.changeState("playing");
+    }
+}
+
+/**
+ * the state of the game after a game has ended with a score entering the high-score table, letting the player enter a name.
+ * the name is entered arcade style, so it can be entered with a gamepad or the on-screen buttons as well as a keyboard.
+ */
+class NameEntryState extends GameState {
+    /**
+     * @param {GameStateMachine} machine the state machine that the state belongs to
+     */
+    constructor(machine) {
+        super(machine);
+        /**
+         * @description the characters of the name being entered
+         * @type {string[]}
+         * @private
+         */
+        this._name = [];
+        /**
+         * @description the index of the character being changed
+         * @type {number}
+         * @private
+         */
+        this._cursor = 0;
+    }
+
+    /**
+     * @returns {string} the characters a name can consist of
+     */
+    static get characters() {
+        return "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+    }
+
+    /**
+     * @returns {number} the number of characters in a name
+     */
+    static get nameLength() {
+        return 3;
+    }
+
+    /**
+     * starts the entry with the name most recently entered
+     */
+    enter(previousStateName) {
+        const characters = NameEntryState.characters;
+        const lastName = this._machine.highScores.lastName.toUpperCase();
+        this._name = Array.from({length: NameEntryState.nameLength}, (character, index) => characters.includes(lastName[index]) ? lastName[index] : "A");
+        this._cursor = 0;
+    }
+
+    render(alpha) {
+        this._renderFrozenBoard();
+        const name = this._name.map((character, index) => index === this._cursor ? `[${character}]` : ` ${character} `).join("");
+        this._renderOverlay("NEW HIGH SCORE", [`score: ${this._machine.result.score}`, {text: name, font: "bold 36px monospace"},
+                                               "up and down change the letter, left and right move", "press enter to save"]);
+    }
+
+    handleInput(command) {
+        const characters = NameEntryState.characters;
+        const index = characters.indexOf(this._name[this._cursor]);
+        switch (command) {
+            case "up":
+                this._name[this._cursor] = characters[(index + 1) % characters.length];
+                break;
+            case "down":
+                this._name[this._cursor] = characters[(index - 1 + characters.length) % characters.length];
+                break;
+            case "left":
+                this._cursor = Math.max(0, this._cursor - 1);
+                break;
+            case "right":
+                this._cursor = Math.min(this._name.length - 1, this._cursor + 1);
+                break;
+            case "start":
+                this._machine.addHighScore(this._name.join(""));
+                break;
+        }
+    }
+}
+
+/**
+ * the base of the states shown when a game has ended, from which a new game can be started and the replay of the game watched or saved
+ * @abstract
+ */
+class GameEndState extends GameState {
+    /**
+     * renders the board with an overlay showing the result of the game and the high-score table
+     * @param {string} title the title of the overlay
+     * @protected
+     */
+    _renderResult(title) {
+        this._renderFrozenBoard();
+        const prompts = ["press enter to play again", "R to watch the replay, E to export it"];
+        const highScores = this._machine.highScores;
+        const breakdown = this._machine.scoreBreakdown.lines.map(line => ({text: line, font: "20px arial"}));
+        if (!highScores) {
+            this._renderOverlay(title, [`final score: ${this.board.player.score}`, `seed: ${this._machine.seed}`, ""].concat(breakdown, "", prompts),
+                                {top: 80, lineHeight: 28});
+            return;
+        }
+        //next to the high-score table the breakdown is summed up a few items to a line
+        const summary = [];
+        for (let index = 0; index < breakdown.length; index += 4) {
+            summary.push({text: breakdown.slice(index, index + 4).map(line => line.text).join("   "), font: "18px arial"});
+        }
+        const table = highScores.entries.map((entry, rank) => ({
+            text: `${String(rank + 1).padStart(2)}. ${entry.name.padEnd(NameEntryState.nameLength)} ${String(entry.score).padStart(5)}  level ${entry.level}  ${entry.date.slice(0, 10)}`,
+            font: "20px monospace",
+            color: rank === this._machine.highScoreRank ? "gold" : "white"
+        }));
+        this._renderOverlay(title, [`final score: ${this.board.player.score}  seed: ${this._machine.seed}`].concat(summary, "HIGH SCORES")
+            .concat(table.length ? table : ["no high scores yet"], "", prompts, "H to export the high scores"), {top: 50, lineHeight: 26});
+    }
+
+    handleInput(command) {
+        switch (command) {
+            case "start":
+                this._machine.newGame();
+                break;
+            case "replay":
+                this._machine.playReplay(this._machine.replay);
+                break;
+            case "save":
+                this._machine.saveReplay(this._machine.replay);
+                break;
+            case "exportScores":
+                if (this._machine.highScores) this._machine.saveHighScores(this._machine.highScores);
+                break;
+        }
+    }
+}
+
+/**
+ * the state of the game after the player has lost
+ */
+class GameOverState extends GameEndState {
+    render(alpha) {
+        this._renderResult("GAME OVER");
+    }
+}
+
+/**
+ * the state of the game after the player has completed a level, showing what the points of the level were scored for,
+ * and waiting for the player to continue to the next one
+ */
+class LevelCompleteState extends GameState {
+    render(alpha) {
+        this._renderFrozenBoard();
+        const breakdown = this.board.scoreKeeper.breakdown.lines.map(line => ({text: line, font: "20px arial"}));
+        this._renderOverlay(`LEVEL ${this.board.level} COMPLETE`, [`score: ${this.board.player.score}`, ""].concat(breakdown, "", "press enter to continue"),
+                            {top: 120, lineHeight: 28});
+    }
+
+    handleInput(command) {
+        if (command === "start") this._machine.nextLevel();
+    }
+}
+
+/**
+ * the state of the game after the player has completed the last level
+ */
+class VictoryState extends GameEndState {
+    render(alpha) {
+        this._renderResult("YOU WIN");
+    }
+}
+
+/**
+ * manages the states of the game and the transitions between them.
+ * the state machine owns the board of the current level and rebuilds it when a level is started.
+ */
+class GameStateMachine {
+    /**
+     * @param {Object} param
+     * @param {function(number, Random): Board} param.createBoard a function creating a new board in its initial state 
+     *      for the specified zero-based level index, using the provided random number generator
+     * @param {number} param.numberOfLevels the number of levels to complete to win the game
+     * @param {number} param.seed the seed all games are to be played with, a new random seed is used for each game if not provided
+     * @param {function(Replay)} param.saveReplay a function saving the replay of a game, e.g. by downloading it as a file
+     * @param {HighScoreTable} param.highScores the high-score table games are entered in, no table is kept if not provided
+     * @param {function(HighScoreTable)} param.saveHighScores a function exporting the high-score table, e.g. by downloading it as a file
+     */
+    constructor({createBoard, numberOfLevels = 1, seed = null, saveReplay = () => {}, highScores = null, saveHighScores = () => {}}) {
+        if (!createBoard) throw new Error("a board factory is required");
+        /**
+         * @description a function creating a new board in its initial state for the specified zero-based level index
+         * @type {function(number, Random): Board}
+         * @private
+         */
+        this._createBoard = createBoard;
+        /**
+         * @description the number of levels to complete to win the game
+         * @type {number}
+         */
+        this.numberOfLevels = numberOfLevels;
+        /**
+         * @description the seed all games are to be played with, null if each game is to be played with a new random seed
+         * @type {number}
+         * @private
+         */
+        this._fixedSeed = seed;
+        /**
+         * @description the seed of the current game. the board of each level is seeded from it, 
+         *      so a given seed reproduces the exact diamond layouts and enemy streams of all levels
+         * @type {number}
+         */
+        this.seed = seed === null ? Random.randomSeed() : seed;
+        /**
+         * @description the zero-based index of the current level
+         * @type {number}
+         */
+        this.levelIndex = 0;
+        /**
+         * @description the board of the current level
+         * @type {Board}
+         */
+        this.board = null;
+        /**
+         * @description a function saving the replay of a game
+         * @type {function(Replay)}
+         */
+        this.saveReplay = saveReplay;
+        /**
+         * @description the high-score table games are entered in, null if no table is kept
+         * @type {HighScoreTable}
+         */
+        this.highScores = highScores;
+        /**
+         * @description a function exporting the high-score table
+         * @type {function(HighScoreTable)}
+         */
+        this.saveHighScores = saveHighScores;
+        /**
+         * @description the zero-based rank in the high-score table of the most recent game, -1 if it did not enter the table
+         * @type {number}
+         */
+        this.highScoreRank = -1;
+        /**
+         * @description the number of updates performed since the current game was started
+         * @type {number}
+         */
+        this.tick = 0;
+        /**
+         * @description the replay of the current or most recent game, null if no game has been started
+         * @type {Replay}
+         */
+        this.replay = null;
+        /**
+         * @description the points scored in the levels of the current game before the current level, itemised
+         * @type {ScoreBreakdown}
+         * @private
+         */
+        this._previousLevelsBreakdown = new ScoreBreakdown();
+        /**
+         * @description how the most recent game ended, null if no game has ended yet
+         * @type {{outcome: string, score: number, level: number, ticks: number}}
+         */
+        this.result = null;
+        /**
+         * @description the player feeding back the input commands of the replay being played back, null if none is
+         * @type {ReplayPlayer}
+         * @private
+         */
+        this._replayPlayer = null;
+        /**
+         * @description the available states by name
+         * @type {Object.<string, GameState>}
+         * @private
+         */
+        this._states = {
+            title: new TitleState(this),
+            playing: new PlayingState(this),
+            paused: new PausedState(this),
+            gameOver: new GameOverState(this),
+            enterName: new NameEntryState(this),
+            levelComplete: new LevelCompleteState(this),
+            victory: new VictoryState(this)
+        };
+        /**
+         * @description the name of the active state
+         * @type {string}
+         * @private
+         */
+        this._stateName = null;
+    }
+
+    /**
+     * @returns {string} the name of the active state
+     */
+    get stateName() {
+        return this._stateName;
+    }
+
+    /**
+     * @returns {GameState} the active state
+     */
+    get state() {
+        return this._states[this._stateName];
+    }
+
+    /**
+     * makes the named state the active state
+     * @param {string} stateName the name of the state to activate
+     */
+    changeState(stateName) {
+        if (!this._states[stateName]) throw new Error(`state '${stateName}' not supported`);
+        const previousStateName = this._stateName;
+        if (this.state) this.state.exit(stateName);
+        this._stateName = stateName;
+        this.state.enter(previousStateName);
+    }
+
+    /**
+     * @returns {ScoreBreakdown} the points scored in the current or most recent game up to now, itemised
+     */
+    get scoreBreakdown() {
+        const breakdown = new ScoreBreakdown();
+        breakdown.merge(this._previousLevelsBreakdown);
+        breakdown.merge(this.board.scoreKeeper.breakdown);
+        return breakdown;
+    }
+
+    /**
+     * @returns {boolean} true if the current level is the last one
+     */
+    get isLastLevel() {
+        return this.levelIndex >= this.numberOfLevels - 1;
+    }
+
+    /**
+     * replaces the board with a newly created one for the specified level and listens for the events ending the level
+     * @param {number} levelIndex the zero-based index of the level to create the board for
+     */
+    reset(levelIndex = 0) {
+        this.levelIndex = levelIndex;
+        this.board = this._createBoard(levelIndex, new Random(Random.hash(`${this.seed}:${levelIndex}`)));
+        this.board.on("gameover", () => this._endGame("gameover"));
+        this.board.on("levelcomplete", () => this.isLastLevel ? this._endGame("victory") : this.changeState("levelComplete"));
+    }
+
+    /**
+     * resets the board to the first level and starts playing with a new seed, unless a fixed seed is set.
+     * the game is recorded, so it can be played back when it has ended.
+     */
+    newGame() {
+        this._replayPlayer = null;
+        this._startGame(this._fixedSeed === null ? Random.randomSeed() : this._fixedSeed);
+        this.replay = new Replay({seed: this.seed});
+    }
+
+    /**
+     * starts playing back a replay from its first level, ignoring input until it has ended or is stopped
+     * @param {Replay} replay the replay to play back
+     */
+    playReplay(replay) {
+        this._replayPlayer = new ReplayPlayer(replay);
+        this._startGame(replay.seed);
+        this.replay = replay;
+    }
+
+    /**
+     * stops playing back a replay and returns to the title screen
+     */
+    stopReplay() {
+        this._replayPlayer = null;
+        this.reset();
+        this.changeState("title");
+    }
+
+    /**
+     * @returns {boolean} true if a replay is being played back
+     */
+    get isPlayingBack() {
+        return this._replayPlayer !== null;
+    }
+
+    /**
+     * resets the board to the first level and starts playing
+     * @param {number} seed the seed to play the game with
+     * @private
+     */
+    _startGame(seed) {
+        this.seed = seed;
+        this.tick = 0;
+        this.result = null;
+        this.highScoreRank = -1;
+        this._previousLevelsBreakdown = new ScoreBreakdown();
+        this.reset(0);
+        this.changeState("playing");
+    }
+
+    /**
+     * ends the current game, finishing its recording or its playback
+     * @param {string} outcome how the game ended, "gameover" or "victory"
+     * @private
+     */
+    _endGame(outcome) {
+        this.result = {outcome: outcome, score: this.board.player.score, level: this.board.level, ticks: this.tick};
+        //a played back game has already had its chance of entering the high-score table when it was recorded
+        if (this.isPlayingBack) {
+            this._replayPlayer = null;
+        } else {
+            this.replay.finish(this.result);
+            if (this.highScores && this.highScores.qualifies(this.result.score)) {
+                this.changeState("enterName");
+                return;
+            }
+        }
+        this._showResult();
+    }
+
+    /**
+     * enters the most recent game in the high-score table and shows its result
+     * @param {string} name the name entered by the player
+     */
+    addHighScore(name) {
+        this.highScoreRank = this.highScores.add({name: name, score: this.result.score, seed: this.seed, level: this.result.level});
+        this._showResult();
+    }
+
+    /**
+     * shows the result of the most recent game
+     * @private
+     */
+    _showResult() {
+        this.changeState(this.result.outcome === "victory" ? "victory" : "gameOver");
+    }
+
+    /**
+     * builds the board of the next level and starts playing it.
+     * the player keeps its score and lives from the completed level, and the points of the level are added to the breakdown of the game.
+     */
+    nextLevel() {
+        const {score, lives} = this.board.player;
+        this._previousLevelsBreakdown.merge(this.board.scoreKeeper.breakdown);
+        this.reset(this.levelIndex + 1);
+        this.board.player.score = score;
+        this.board.player.lives = lives;
+        this.changeState("playing");
+    }
+
+    /**
+     * pauses the game if it is being played, e.g. when the game window loses focus.
+     * a replay being played back is left running, as only the start and pause keys of the player stop it
+     */
+    pause() {
+        if (this._stateName === "playing" && !this.isPlayingBack) this.handleInput("pause");
+    }
+
+    /**
+     * updates the game through the active state.
+     * while a replay is played back, the input commands recorded before this update are fed to the active state first.
+     * @param {number} dt the delta time calculated for the computing environment
+     */
+    update(dt) {
+        if (this.isPlayingBack) {
+            this._replayPlayer.commandsAt(this.tick).forEach(command => this.state.handleInput(command));
+        }
+        this.state.update(dt);
+        this.tick++;
+    }
+
+    /**
+     * renders the game through the active state
+     * @param {number} alpha the fraction of the time between the previous and the next update that has passed, used to interpolate movement
+     */
+    render(alpha = 1) {
+        this.state.render(alpha);
+        if (this.isPlayingBack) {
+            const renderer = this.board.renderer;
+            renderer.drawText("REPLAY - press enter to stop", renderer.width / 2, renderer.height - 20, {font: "24px arial", color: "white", align: "center"});
+        }
+    }
+
+    /**
+     * forwards an input command to the active state, recording it in the replay of the current game.
+     * while a replay is played back, the input is ignored, except for the commands stopping the playback.
+     * @param {string} command the input command, e.g. "left", "up", "right", "down", "start", "pause", "replay", "save" or "exportScores"
+     */
+    handleInput(command) {
+        if (!command) return;
+        if (this.isPlayingBack) {
+            if (command === "start" || command === "pause") this.stopReplay();
+            return;
+        }
+        if (this.replay && !this.replay.isFinished) this.replay.record(this.tick, command);
+        this.state.handleInput(command);
+    }
+}
@@ -0,0 +1,158 @@
+/* terrain.js
+ * This file provides the registry of cell types, the terrain the board grid is made of.
+ * Each cell type declares how it looks, whether the player can walk on it, what happens when the player lands on it,
+ * how landing on it is scored and what can spawn on it, so new terrain can be added by registering a type,
+ * without changing the board:
+ *
+ *  TERRAIN.register(new CellType({
+ *      name: "lava",
+ *      sprite: "images/lava.png",
+ *      onContact: board => board.drownPlayer()
+ *  }));
+ *
+ * The sprite of a new type must also be added to the asset manifest (see manifest.js).
+ */
+
+"use strict";
+
+/**
+ * describes a type of cell of the board grid
+ */
+class CellType {
+    /**
+     * @param {Object} param
+     * @param {string} param.name the name of the type, by which rows and cells of levels refer to it
+     * @param {string} param.sprite the relative path to the image of the cell
+     * @param {boolean} param.walkable false if the player cannot move onto cells of the type, e.g. hedges
+     * @param {function(Board, BoardGridCell, Player)} param.onContact called when the player lands on a cell of the type,
+     *      e.g. completing a crossing, null if nothing happens
+     * @param {string} param.scoreRule the name of the rule in the scoring rules of the board applied when the player lands on a cell of the type,
+     *      null if landing on it does not score
+     * @param {boolean} param.enemies true if rows of the type can have a lane of enemies
+     * @param {boolean} param.platforms true if rows of the type can have a lane of platforms, making them river rows
+     * @param {boolean} param.diamonds true if diamonds can be placed randomly on cells of the type
+     * @param {number} param.moveDurationFactor the factor the time of a hop starting on a cell of the type is multiplied by, e.g. 2 for half speed
+     */
+    constructor({name, sprite, walkable = true, onContact = null, scoreRule = null, enemies = false, platforms = false, diamonds = false, moveDurationFactor = 1}) {
+        if (!name) throw new Error("a name is required");
+        if (!sprite) throw new Error("a sprite is required");
+        if (!(moveDurationFactor > 0)) throw new Error("the move duration factor must be greater than 0");
+        /**
+         * @description the name of the type, by which rows and cells of levels refer to it
+         * @type {string}
+         */
+        this.name = name;
+        /**
+         * @description the relative path to the image of the cell
+         * @type {string}
+         */
+        this.sprite = sprite;
+        /**
+         * @description false if the player cannot move onto cells of the type
+         * @type {boolean}
+         */
+        this.walkable = walkable;
+        /**
+         * @description called when the player lands on a cell of the type, null if nothing happens
+         * @type {function(Board, BoardGridCell, Player)}
+         */
+        this.onContact = onContact;
+        /**
+         * @description the name of the scoring rule applied when the player lands on a cell of the type, null if landing on it does not score
+         * @type {string}
+         */
+        this.scoreRule = scoreRule;
+        /**
+         * @description true if rows of the type can have a lane of enemies
+         * @type {boolean}
+         */
+        this.enemies = enemies;
+        /**
+         * @description true if rows of the type can have a lane of platforms
+         * @type {boolean}
+         */
+        this.platforms = platforms;
+        /**
+         * @description true if diamonds can be placed randomly on cells of the type
+         * @type {boolean}
+         */
+        this.diamonds = diamonds;
+        /**
+         * @description the factor the time of a hop starting on a cell of the type is multiplied by
+         * @type {number}
+         */
+        this.moveDurationFactor = moveDurationFactor;
+    }
+
+    /**
+     * @returns {boolean} true if the player can start on a cell of the type, i.e. it can be walked on, nothing happens on it and it is no river
+     */
+    get canStartOn() {
+        return this.walkable && !this.onContact && !this.platforms;
+    }
+}
+
+/**
+ * holds the cell types by name
+ */
+class TerrainRegistry {
+    constructor() {
+        /**
+         * @description the registered cell types by name
+         * @type {Map.<string, CellType>}
+         * @private
+         */
+        this._types = new Map();
+    }
+
+    /**
+     * registers a cell type, replacing any type registered with the same name
+     * @param {CellType} type the cell type
+     */
+    register(type) {
+        if (!(type instanceof CellType)) throw new Error("only cell types can be registered");
+        this._types.set(type.name, type);
+    }
+
+    /**
+     * @param {string} name the name of a cell type
+     * @returns {boolean} true if a type of the name has been registered
+     */
+    has(name) {
+        return this._types.has(name);
+    }
+
+    /**
+     * @param {string} name the name of a cell type
+     * @returns {CellType} the cell type
+     */
+    get(name) {
+        const type = this._types.get(name);
+        if (!type) throw new Error(`type '${name}' not supported`);
+        return type;
+    }
+
+    /**
+     * @returns {string[]} the names of the registered cell types, in the order they were registered
+     */
+    get names() {
+        return [...this._types.keys()];
+    }
+}
+
+/**
+ * the terrain of the game
+ * @type {TerrainRegistry}
+ */
+const TERRAIN = new TerrainRegistry();
+
+TERRAIN.register(new CellType({name: "grass", sprite: "images/grass.png"}));
+TERRAIN.register(new CellType({name: "road", sprite: "images/road.png", enemies: true, diamonds: true}));
+//reaching the water completes a crossing, while the water of a river row must be crossed on its platforms
+TERRAIN.register(new CellType({name: "water", sprite: "images/water.png", platforms: true, scoreRule: "water",
+                               onContact: (board, cell) => { if (!cell.isRiver) board.completeCrossing(); }}));
+TERRAIN.register(new CellType({name: "goal", sprite: "images/goal.png", scoreRule: "bay", onContact: (board, cell) => board.fillBay(cell.column)}));
+TERRAIN.register(new CellType({name: "stone", sprite: "images/stone.png", enemies: true, diamonds: true}));
+TERRAIN.register(new CellType({name: "mud", sprite: "images/mud.png", diamonds: true, moveDurationFactor: 2.5}));
+TERRAIN.register(new CellType({name: "ice", sprite: "images/ice.png", diamonds: true, onContact: (board, cell, player) => player.slide()}));
+TERRAIN.register(new CellType({name: "hedge", sprite: "images/hedge.png", walkable: false}));
@@ -0,0 +1,283 @@
+/* headless.js
+ * This file loads the game into Node without a browser, so the game can be simulated headlessly,
+ * e.g. to balance levels by running thousands of games, or in automated tests.
+ * The browser scripts holding the simulation are run in a shared context, the same way the browser runs the scripts of index.html,
+ * and the board is drawn with the null renderer and driven by a game loop reading a manual clock.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+//the scripts holding the simulation, in the order they are loaded by index.html
+const SCRIPTS = ["js/renderer.js", "js/loop.js", "js/terrain.js", "js/scoring.js", "js/app.js", "js/levelloader.js", "js/levels.js", "js/replay.js", "js/highscores.js", "js/states.js"];
+
+//the classes and values of the scripts made available to Node
+const EXPORTS = ["CellType", "TerrainRegistry", "TERRAIN", "ScoreBreakdown", "ScoreKeeper", "Point", "Easing", "Dimensions", "Area", "EntityVisual", "Entity", "Actor", "Prop", "Diamond", "BloodSplat", "BayMarker", "BayBonus", "PowerUp", "PowerUpEffects", "PowerUpSpawner", "Enemy", "Car", "Truck", "Racer", "Snake", "Chaser", "Platform", "Log", "Turtles", "Player",
+                 "GridPosition", "BoardGridCell", "BoardGridLane", "BoardGridPlatformLane", "BoardGridGoal", "BoardGrid", "Board", "Random",
+                 "NullRenderer", "ManualClock", "GameLoop", "LevelLoader", "LevelFormatError", "LEVELS",
+                 "Replay", "ReplayPlayer", "HighScoreTable", "GameStateMachine"];
+
+/**
+ * loads the game scripts into a new context, isolated from any other loaded game
+ * @returns {Object} the classes and values of the game by name, e.g. Board and LEVELS
+ */
+function loadGame() {
+    const context = vm.createContext({ console: console });
+    SCRIPTS.forEach(script => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, "..", script), "utf8"), context, { filename: script });
+    });
+    //classes declared in scripts are not properties of the global object, so they are collected by evaluating their names
+    return vm.runInContext(`({ ${EXPORTS.join(", ")} })`, context);
+}
+
+/**
+ * creates the entity visual applying to all cells, which the engine creates from the loaded road image in the browser
+ * @param {Object} game the game loaded by loadGame
+ * @returns {EntityVisual} the entity visual
+ */
+function createCellVisualTemplate(game) {
+    //the dimensions of the images in the images folder
+    return new game.EntityVisual({
+        sprite: "images/road.png",
+        dimensions: new game.Dimensions(101, 171),
+        occupiedArea: new game.Area(new game.Point(0, 52), new game.Dimensions(101, 83))
+    });
+}
+
+/**
+ * creates the board of a level with the null renderer
+ * @param {Object} game the game loaded by loadGame
+ * @param {Object} param
+ * @param {number} param.levelIndex the zero-based index of the level in LEVELS
+ * @param {Object} param.level a level in the JSON level format to use instead of one from LEVELS
+ * @param {number} param.seed the seed of the board
+ * @param {Random} param.random the random number generator of the board, created from the seed if not provided
+ * @param {number} param.numberOfLives the number of lives the player starts with
+ * @returns {Board} the board
+ */
+function createBoard(game, {levelIndex = 0, level = game.LEVELS[levelIndex], seed = 1, random = new game.Random(seed), numberOfLives = 3} = {}) {
+    return game.LevelLoader.createBoard(level, {
+        cellVisualTemplate: createCellVisualTemplate(game),
+        levelNumber: levelIndex + 1,
+        numberOfLives: numberOfLives,
+        random: random,
+        renderer: new game.NullRenderer()
+    });
+}
+
+/**
+ * creates a state machine playing all levels in LEVELS with the null renderer, the same way the engine does in the browser
+ * @param {Object} game the game loaded by loadGame
+ * @param {Object} param
+ * @param {number} param.seed the seed all games are to be played with, a new random seed is used for each game if not provided
+ * @returns {GameStateMachine} the state machine, showing the title screen
+ */
+function createGameStateMachine(game, {seed = null} = {}) {
+    const machine = new game.GameStateMachine({
+        createBoard: (levelIndex, random) => createBoard(game, {levelIndex: levelIndex, random: random}),
+        numberOfLevels: game.LEVELS.length,
+        seed: seed
+    });
+    machine.reset();
+    machine.changeState("title");
+    return machine;
+}
+
+/**
+ * strategies deciding the moves of a simulated player.
+ * a strategy is called with the board on each decision and returns a direction to move in, or null to stand still.
+ */
+const strategies = {
+    /**
+     * moves in a random direction, mostly forward
+     */
+    random(board) {
+        const directions = ["up", "up", "up", "left", "right", "down", null];
+        return directions[board.random.between(0, directions.length - 1)];
+    },
+
+    /**
+     * moves forward when the cell ahead stays clear of enemies and has a footing for a while, otherwise waits where it is,
+     * or dodges to a safe neighbouring cell if an enemy is about to reach it or its platform is about to leave it in the river.
+     * it does not wait for a patrolling enemy blocking the cell ahead to move on, but steps aside to get past it.
+     * next to the goal row, it heads for the nearest empty bay unless it can move into one
+     */
+    cautious(board) {
+        if (board.player.isMoving) return null;
+        const position = board.player.gridPosition;
+        const cellWidth = board.grid.cellVisualTemplate.occupiedArea.width;
+        const x = board.player.occupiedArea.center.x;
+        let moves = [["up", -1, 0], [null, 0, 0], ["left", 0, -1], ["right", 0, 1], ["down", 1, 0]];
+        //below a river, the player waits away from the edge the platforms float off at, where they would not carry it far enough
+        const riverAbove = !board.grid.getPlatformLane(position.row) && board.grid.getPlatformLane(position.row - 1);
+        if (riverAbove && (riverAbove.direction === -1 ? position.column <= 1 : position.column >= board.grid.numberOfColumns - 2)) {
+            const upstream = riverAbove.direction === -1 ? "right" : "left";
+            moves.splice(1, 0, moves.find(([direction]) => direction === upstream));
+        }
+        //a patrolling enemy ahead, e.g. a chaser lined up with the player, is not waited out but dodged to the side away from it,
+        //turning back at the edge of the board
+        const laneAhead = board.grid.getLane(position.row - 1);
+        if (laneAhead && laneAhead.enemyClass.patrols && !isCellClear(board, position.row - 1, position.column, 0.5)) {
+            const enemyX = laneAhead.enemies[0].occupiedArea.center.x;
+            let away = enemyX > x ? "left" : "right";
+            if (!board.player.canMoveInGrid(away)) away = away === "left" ? "right" : "left";
+            moves = [moves[0], ...moves.filter(([direction]) => direction === away), ...moves.filter(([direction]) => direction && direction !== "up" && direction !== away)];
+        }
+        const towardsBay = directionTowardsBay(board, position);
+        if (towardsBay) {
+            //moving up onto a bank is only a way to dodge, otherwise the player would walk back and forth between the bank and the row below
+            moves = [...moves.filter(([direction]) => direction === towardsBay), ...moves.filter(([direction]) => direction !== "up"), moves[0]];
+        }
+        const safeMove = moves.find(([direction, rows, columns]) => {
+            if (direction && !board.player.canMoveInGrid(direction)) return false;
+            const row = position.row + rows;
+            const column = position.column + columns;
+            //the player keeps its offset within the cell when moving between river rows, and lands on the center of the cell otherwise
+            const targetX = board.grid.getPlatformLane(row) ? x + columns * cellWidth : board.grid.getCell(row, column).occupiedArea.center.x;
+            return isCellClear(board, row, column, 0.5) && hasFooting(board, row, targetX, 0.6);
+        });
+        return safeMove ? safeMove[0] : null;
+    }
+};
+
+/**
+ * finds the direction along its row in which the player reaches the nearest empty bay of the goal row,
+ * when the player is on the goal row or below it, and the cell above it is not an empty bay.
+ * on the goal row, where filled bays block the way along the banks, the player steps down to go around them
+ * @param {Board} board the board
+ * @param {GridPosition} position the position of the player in the board grid
+ * @returns {string} "left", "right" or "down", or null if the player is not next to the goal row or can move into a bay
+ */
+function directionTowardsBay(board, position) {
+    const goal = board.grid.goal;
+    if (!goal || position.row > goal.row + 1) return null;
+    const emptyBays = goal.emptyBays;
+    if (!emptyBays.length) return null;
+    if (position.row === goal.row + 1 && emptyBays.includes(position.column)) return null;
+    const nearest = emptyBays.reduce((a, b) => Math.abs(b - position.column) < Math.abs(a - position.column) ? b : a);
+    const direction = nearest < position.column ? "left" : "right";
+    if (position.row === goal.row && board.grid.isFilledBay(goal.row, position.column + (direction === "left" ? -1 : 1))) return "down";
+    return direction;
+}
+
+/**
+ * checks whether enemies stay out of a cell of the board grid for a time, assuming they keep driving at up to their top speed,
+ * in their direction, or in either direction for enemies that patrol their row and can turn
+ * @param {Board} board the board
+ * @param {number} row the zero-based index of the row of the cell
+ * @param {number} column the zero-based index of the column of the cell
+ * @param {number} time the time in seconds to look ahead
+ * @returns {boolean} true if no enemy enters the cell within the time
+ */
+function isCellClear(board, row, column, time) {
+    const lane = board.grid.getLane(row);
+    if (!lane) return true;
+    const cellArea = board.grid.getCell(row, column).occupiedArea;
+    const turns = lane.enemyClass.patrols;
+    return lane.enemies.every(enemy => {
+        const area = enemy.occupiedArea;
+        const travel = enemy.topSpeed * time;
+        const left = area.topLeft.x - (turns || enemy.moveIncrement.x < 0 ? travel : 0);
+        const right = area.topRight.x + (turns || enemy.moveIncrement.x > 0 ? travel : 0);
+        return right < cellArea.topLeft.x || left > cellArea.topRight.x;
+    });
+}
+
+/**
+ * checks whether a position of the board grid has a footing for a time, i.e. is not on a river row,
+ * or is on a platform that stays under it and above water, without being carried off the board
+ * @param {Board} board the board
+ * @param {number} row the zero-based index of the row
+ * @param {number} x the horizontal position on the row
+ * @param {number} time the time in seconds to look ahead
+ * @returns {boolean} true if the position has a footing throughout the time
+ */
+function hasFooting(board, row, x, time) {
+    const lane = board.grid.getPlatformLane(row);
+    if (!lane) return true;
+    const margin = 10;
+    const gridArea = board.grid.occupiedArea;
+    return lane.platforms.some(platform => {
+        //diving turtles are about to go under water
+        if (!platform.canBeStoodOn || platform.animationName === "dive") return false;
+        const area = platform.occupiedArea;
+        const carriedX = x + platform.moveIncrement.x * time;
+        return x >= area.topLeft.x + margin && x <= area.topRight.x - margin &&
+               carriedX > gridArea.topLeft.x + margin && carriedX < gridArea.topRight.x - margin;
+    });
+}
+
+/**
+ * simulates the play of a single level by a strategy, as fast as the computer allows
+ * @param {Object} game the game loaded by loadGame
+ * @param {Object} param
+ * @param {number} param.levelIndex the zero-based index of the level in LEVELS
+ * @param {number} param.seed the seed of the board
+ * @param {function(Board): string} param.strategy the strategy deciding the moves of the player
+ * @param {number} param.decisionInterval the time in seconds between two decisions of the strategy
+ * @param {number} param.maxTime the time in seconds after which the simulation is stopped if the level has not ended
+ * @returns {{outcome: string, time: number, score: number, lives: number, crossings: number}} the result of the level,
+ *      the outcome is "complete", "gameover" or "timeout"
+ */
+function simulateLevel(game, {levelIndex = 0, seed = 1, strategy = strategies.cautious, decisionInterval = 0.1, maxTime = 180} = {}) {
+    const board = createBoard(game, {levelIndex: levelIndex, seed: seed});
+    const clock = new game.ManualClock();
+    let nextDecision = 0;
+    let time = 0;
+    const loop = new game.GameLoop({
+        clock: clock,
+        update: dt => {
+            time += dt;
+            if (time >= nextDecision) {
+                const direction = strategy(board);
+                if (direction) board.player.moveInGrid(direction);
+                nextDecision += decisionInterval;
+            }
+            board.update(dt);
+        }
+    });
+    while (!board.isGameOver && !board.isLevelComplete && time < maxTime) {
+        clock.advance(loop.timeStep);
+        loop.tick();
+    }
+    return {
+        outcome: board.isLevelComplete ? "complete" : (board.isGameOver ? "gameover" : "timeout"),
+        time: time,
+        score: board.player.score,
+        lives: board.player.lives,
+        crossings: board.crossings
+    };
+}
+
+/**
+ * plays back a replay as fast as the computer allows
+ * @param {Object} game the game loaded by loadGame
+ * @param {Replay|Object|string} replay the replay, or the replay in the JSON replay format
+ * @param {Object} param
+ * @param {number} param.maxTicks the number of updates after which the playback is stopped if the game has not ended
+ * @returns {{outcome: string, score: number, level: number, ticks: number}} how the game ended, null if it did not end
+ */
+function playReplay(game, replay, {maxTicks = 60 * 60 * 60} = {}) {
+    const machine = createGameStateMachine(game);
+    machine.playReplay(replay instanceof game.Replay ? replay : game.Replay.parse(replay));
+    const clock = new game.ManualClock();
+    const loop = new game.GameLoop({clock: clock, update: dt => machine.update(dt)});
+    while (machine.isPlayingBack && machine.tick < maxTicks) {
+        clock.advance(loop.timeStep);
+        loop.tick();
+    }
+    return machine.result;
+}
+
+module.exports = {
+    loadGame: loadGame,
+    createCellVisualTemplate: createCellVisualTemplate,
+    createBoard: createBoard,
+    createGameStateMachine: createGameStateMachine,
+    strategies: strategies,
+    simulateLevel: simulateLevel,
+    playReplay: playReplay
+};
@@ -0,0 +1,28 @@
+/* replay.js
+ * This file plays back a replay saved from the game headlessly and checks that it reproduces the recorded result,
+ * which is used to verify that changes to the game keep it deterministic, or to check a submitted score.
+ *
+ * Usage: node tools/replay.js <replay.json>
+ * Exits with code 1 if the playback does not end the same way as the recorded game.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const headless = require("./headless");
+
+function main() {
+    const file = process.argv[2];
+    if (!file) throw new Error("usage: node tools/replay.js <replay.json>");
+    const game = headless.loadGame();
+    const replay = game.Replay.parse(fs.readFileSync(file, "utf8"));
+    const result = headless.playReplay(game, replay);
+    console.log(`seed ${replay.seed}, ${replay.inputs.length} inputs`);
+    console.log("recorded:  ", JSON.stringify(replay.result));
+    console.log("reproduced:", JSON.stringify(result));
+    const matches = result !== null && replay.result !== null && ["outcome", "score", "level", "ticks"].every(key => result[key] === replay.result[key]);
+    console.log(matches ? "the replay reproduces the recorded game" : "the replay does not reproduce the recorded game");
+    process.exitCode = matches ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,59 @@
+/* simulate.js
+ * This file runs a number of headless games of each level and reports how they went,
+ * which is used to balance the difficulty of the levels in levels.js.
+ *
+ * Usage: node tools/simulate.js [--games 100] [--strategy cautious|random] [--seed 1] [--level 1]
+ * Each game of a level is played with its own seed, counting up from the provided seed, so runs are reproducible.
+ */
+
+"use strict";
+
+const headless = require("./headless");
+
+/**
+ * parses the command line options
+ * @param {string[]} args the command line arguments
+ * @returns {{games: number, strategy: string, seed: number, level: number}} the options
+ */
+function parseOptions(args) {
+    const options = { games: 100, strategy: "cautious", seed: 1, level: null };
+    for (let index = 0; index < args.length; index += 2) {
+        const name = args[index].replace(/^--/, "");
+        if (!(name in options)) throw new Error(`unknown option '${args[index]}'`);
+        options[name] = name === "strategy" ? args[index + 1] : Number(args[index + 1]);
+    }
+    if (!headless.strategies[options.strategy]) throw new Error(`unknown strategy '${options.strategy}'`);
+    return options;
+}
+
+function main() {
+    const options = parseOptions(process.argv.slice(2));
+    const game = headless.loadGame();
+    const levelIndices = options.level ? [options.level - 1] : game.LEVELS.map((level, index) => index);
+    const average = (results, property) => (results.reduce((sum, result) => sum + result[property], 0) / results.length).toFixed(1);
+    const percentage = (results, outcome) => `${(100 * results.filter(result => result.outcome === outcome).length / results.length).toFixed(0)}%`;
+
+    const rows = levelIndices.map(levelIndex => {
+        const results = [];
+        for (let index = 0; index < options.games; index++) {
+            results.push(headless.simulateLevel(game, {
+                levelIndex: levelIndex,
+                seed: options.seed + index,
+                strategy: headless.strategies[options.strategy]
+            }));
+        }
+        return {
+            level: levelIndex + 1,
+            complete: percentage(results, "complete"),
+            gameover: percentage(results, "gameover"),
+            timeout: percentage(results, "timeout"),
+            "avg time (s)": average(results, "time"),
+            "avg lives left": average(results, "lives"),
+            "avg score": average(results, "score")
+        };
+    });
+    console.log(`${options.games} games per level, strategy '${options.strategy}', seeds ${options.seed} to ${options.seed + options.games - 1}`);
+    console.table(rows);
+}
+
+main();